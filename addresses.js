@@ -0,0 +1,112 @@
+/**
+ * ===== ADDRESS BOOK =====
+ * Delivery addresses used at checkout, kept in localStorage under
+ * "addresses" so returning customers can pick one instead of typing it again.
+ *
+ * An address is { id, name, phone, address (house, street, area), city,
+ * pincode, state (GST state code, see gst.js), usedAt }. Saving the same
+ * details again only moves the entry to the top; at most 10 are kept.
+ *
+ * API (window.addressBook):
+ *   all()                  saved addresses, most recently used first
+ *   get(id)                one address, or null
+ *   save(address)          insert or update; returns the saved entry
+ *   remove(id)
+ *   format(address)        lines of the address for messages and invoices
+ *   subscribe(listener)    listener({ type, id }) after each change; returns
+ *                          an unsubscribe function
+ */
+
+class AddressBook {
+    constructor(storageKey = 'addresses', limit = 10) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.listeners = new Set();
+
+        // Pick up changes made in other tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.emit({ type: 'sync', id: null });
+            }
+        });
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    write(addresses, event) {
+        localStorage.setItem(this.storageKey, JSON.stringify(addresses.slice(0, this.limit)));
+        this.emit(event);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Address book listener failed:', error);
+            }
+        });
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    all() {
+        return this.read();
+    }
+
+    get(id) {
+        return this.read().find(entry => entry.id === id) || null;
+    }
+
+    // Same person at the same place, ignoring case and spacing
+    key(address) {
+        return ['name', 'phone', 'address', 'city', 'pincode', 'state']
+            .map(field => String(address[field] || '').toLowerCase().replace(/\s+/g, ' ').trim())
+            .join('|');
+    }
+
+    save(address) {
+        const saved = this.read();
+        const existing = saved.find(entry => (address.id && entry.id === address.id) || this.key(entry) === this.key(address));
+        const entry = {
+            id: existing ? existing.id : 'addr-' + Date.now().toString(36),
+            name: address.name || '',
+            phone: address.phone || '',
+            address: address.address || '',
+            city: address.city || '',
+            pincode: address.pincode || '',
+            state: address.state || '',
+            usedAt: new Date().toISOString()
+        };
+        this.write([entry, ...saved.filter(other => other !== existing)], { type: existing ? 'update' : 'add', id: entry.id });
+        return entry;
+    }
+
+    remove(id) {
+        const saved = this.read();
+        if (!saved.some(entry => entry.id === id)) return;
+        this.write(saved.filter(entry => entry.id !== id), { type: 'remove', id });
+    }
+
+    // Orders from before the address form only have the address text
+    format(address) {
+        const state = window.gst ? window.gst.stateName(address.state) : '';
+        return [
+            ...String(address.address || '').split('\n').map(line => line.trim()).filter(Boolean),
+            [address.city, address.pincode].filter(Boolean).join(' '),
+            state
+        ].filter(Boolean);
+    }
+}
+
+window.addressBook = new AddressBook();
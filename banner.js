@@ -0,0 +1,139 @@
+/**
+ * ===== OFFER BANNER =====
+ * Scheduled messages for the scrolling .offer-banner at the top of every page.
+ *
+ * A message is { id, text, starts, ends, priority, link }:
+ *   text       may use {phone} and {email}, filled in from window.siteConfig
+ *   starts/ends  ISO dates (inclusive, local calendar days); null = open-ended
+ *   priority   higher numbers are shown first
+ *   link       "phone", "email", "whatsapp" or any url; optional
+ *
+ * Every active promotion (promotions.js) with a banner message is shown too,
+ * at promotionPriority, linked to its bannerLink when it has one.
+ *
+ * API (window.offerBanner):
+ *   active(now)              messages valid at the given date, by priority
+ *   render(container, now)   fill the scrolling content element
+ */
+
+window.offerBanner = {
+    promotionPriority: 50,
+
+    messages: [
+        {
+            id: 'direct-orders',
+            text: 'This site is under construction. Please contact us for direct orders',
+            starts: null,
+            ends: null,
+            priority: 100,
+            link: null
+        },
+        {
+            id: 'call',
+            text: '📞 Contact: {phone}',
+            starts: null,
+            ends: null,
+            priority: 90,
+            link: 'phone'
+        },
+        {
+            id: 'email',
+            text: '💌 Email: {email}',
+            starts: null,
+            ends: null,
+            priority: 80,
+            link: 'email'
+        },
+        {
+            id: 'whatsapp',
+            text: '📱 WhatsApp: {phone} for Instant Orders',
+            starts: null,
+            ends: null,
+            priority: 70,
+            link: 'whatsapp'
+        }
+    ],
+
+    isActive: function(message, now = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const day = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        if (message.starts && day < message.starts) return false;
+        if (message.ends && day > message.ends) return false;
+        return true;
+    },
+
+    // Banner messages of the running promotions
+    promotionMessages: function(now) {
+        if (!window.promotions) return [];
+        return window.promotions.active(now)
+            .filter(rule => rule.banner)
+            .map(rule => ({
+                id: rule.id,
+                text: rule.banner,
+                starts: rule.starts,
+                ends: rule.ends,
+                priority: this.promotionPriority,
+                link: rule.bannerLink || null
+            }));
+    },
+
+    active: function(now = new Date()) {
+        // Array.prototype.sort is stable, so equal priorities keep list order
+        return [...this.messages, ...this.promotionMessages(now)]
+            .filter(message => this.isActive(message, now))
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    },
+
+    text: function(message) {
+        const config = window.siteConfig;
+        return message.text
+            .replace(/\{phone\}/g, config.phone)
+            .replace(/\{email\}/g, config.email);
+    },
+
+    href: function(link) {
+        const config = window.siteConfig;
+        switch (link) {
+            case 'phone':
+                return config.telUrl();
+            case 'email':
+                return config.mailtoUrl();
+            case 'whatsapp':
+                return config.whatsappUrl();
+            default:
+                return link;
+        }
+    },
+
+    render: function(container, now = new Date()) {
+        const messages = this.active(now);
+        container.textContent = '';
+
+        // Two copies so the scrolling loop has no gap
+        for (let copy = 0; copy < 2; copy++) {
+            messages.forEach((message, index) => {
+                if (copy || index) {
+                    container.appendChild(document.createTextNode(' | '));
+                }
+
+                const href = message.link ? this.href(message.link) : null;
+                const item = document.createElement(href ? 'a' : 'span');
+                item.className = 'offer-item';
+                item.dataset.offerId = message.id;
+                item.textContent = this.text(message);
+                if (href) {
+                    item.href = href;
+                    if (/^https?:/.test(href)) {
+                        item.target = '_blank';
+                        item.rel = 'noopener';
+                    }
+                }
+                if (copy) {
+                    item.setAttribute('aria-hidden', 'true');
+                    item.tabIndex = -1;
+                }
+                container.appendChild(item);
+            });
+        }
+    }
+};
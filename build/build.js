@@ -0,0 +1,463 @@
+/**
+ * ===== STATIC SITE BUILD =====
+ * Renders the site into dist/ from the shared partials and the product
+ * catalog. No dependencies:
+ *
+ *   node build/build.js [--base-url https://example.com/]
+ *
+ * The base URL (also SITE_URL, or siteUrl in site-config.js) is used for
+ * canonical links, Open Graph tags and sitemap.xml.
+ *
+ * Output:
+ *   - every page at the repo root. Shared regions are marked in the page with
+ *       <!-- partial:navbar --> ... <!-- /partial:navbar -->
+ *     and replaced with build/partials/navbar.html, so the pages keep working
+ *     unbuilt while dist/ gets one navbar, banner, footer and script list
+ *   - product-<id>.html for every catalog entry
+ *   - category-<name>.html for every catalog category, and categories.html
+ *   - schema.org JSON-LD in the <head> of every generated page; the build
+ *     fails when it is missing required fields
+ *   - sitemap.xml
+ *   - CSS and JS as name.<hash>.ext with every page pointing at them, so they
+ *     can be cached forever. The copy of site-config.js has productPages
+ *     turned on, so product links on the site use the generated pages
+ *   - images and catalog.json as they are. Folders only contribute images:
+ *     the old copy of the site under "perfumed creams/" is left out.
+ *
+ * Templates understand {{key}} (escaped), {{{key}}} (raw HTML), {{> partial}}
+ * and {{#key}}...{{/key}}, which renders once for a truthy value and once per
+ * item for a list ({{.}} is the item itself).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const root = path.resolve(__dirname, '..');
+const dist = path.join(root, 'dist');
+const partialsDir = path.join(__dirname, 'partials');
+const templatesDir = path.join(__dirname, 'templates');
+
+const skipDirs = new Set(['build', 'dev', 'dist', 'node_modules']);
+const fingerprintExtensions = new Set(['.css', '.js']);
+const copyExtensions = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.svg', '.ico', '.json']);
+
+// Hand-made landing pages for a category, linked from its generated page
+const collectionPages = {
+    'fragrance': 'fragrance.html',
+    'perfumed-cream': 'fragrance.html',
+    'haircare': 'hairrcareindex.html',
+    'skincare': 'skincare.html',
+    'fitness': 'weight-loss.html'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeXml(value) {
+    return escapeHtml(value).replace(/&#39;/g, '&apos;');
+}
+
+function formatRupee(amount) {
+    return '₹' + Number(amount).toLocaleString('en-IN');
+}
+
+function argValue(name) {
+    const index = process.argv.indexOf(name);
+    return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+// ----- Templates -----
+
+const partialCache = new Map();
+
+function partial(name) {
+    if (!partialCache.has(name)) {
+        const file = path.join(partialsDir, `${name}.html`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Unknown partial "${name}" (expected ${path.relative(root, file)})`);
+        }
+        partialCache.set(name, fs.readFileSync(file, 'utf8').replace(/\s+$/, ''));
+    }
+    return partialCache.get(name);
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map((line, i) => (i && line ? prefix + line : line)).join('\n');
+}
+
+function lookup(data, key) {
+    if (key === '.') return data['.'];
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+function render(template, data) {
+    return template
+        .replace(/^([ \t]*)\{\{>\s*([\w-]+)\s*\}\}/gm, (m, prefix, name) => prefix + indent(partial(name), prefix))
+        .replace(/(?:^[ \t]*)?\{\{#([\w.]+)\}\}\n?([\s\S]*?)(?:^[ \t]*)?\{\{\/\1\}\}\n?/gm, (m, key, inner) => {
+            const value = lookup(data, key);
+            if (!value || (Array.isArray(value) && !value.length)) return '';
+            if (Array.isArray(value)) {
+                return value.map(item => render(inner, item && typeof item === 'object'
+                    ? { ...data, ...item }
+                    : { ...data, '.': item })).join('');
+            }
+            return render(inner, data);
+        })
+        .replace(/^([ \t]*)\{\{\{\s*([\w.]+)\s*\}\}\}/gm, (m, prefix, key) => {
+            const value = lookup(data, key);
+            return value == null ? '' : prefix + indent(String(value).replace(/\s+$/, ''), prefix);
+        })
+        .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (m, key) => {
+            const value = lookup(data, key);
+            return value == null ? '' : String(value);
+        })
+        .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, key) => {
+            const value = lookup(data, key);
+            return value == null ? '' : escapeHtml(value);
+        });
+}
+
+function template(name) {
+    return fs.readFileSync(path.join(templatesDir, `${name}.html`), 'utf8');
+}
+
+// Swap the marked regions of a hand-written page for the shared partials
+function renderPage(html, data, file) {
+    return html.replace(
+        /^([ \t]*)<!-- partial:([\w-]+) -->[\s\S]*?<!-- \/partial:\2 -->/gm,
+        (m, prefix, name) => {
+            if (!fs.existsSync(path.join(partialsDir, `${name}.html`))) {
+                throw new Error(`${file}: unknown partial "${name}"`);
+            }
+            return prefix + indent(render(partial(name), data), prefix);
+        }
+    );
+}
+
+// ----- Site data -----
+
+// Run the browser scripts that hold the data, so the build and the site
+// always agree on prices, bundles and labels
+async function loadSite() {
+    const window = {};
+    const sandbox = {
+        window,
+        console,
+        URL,
+        fetch: (url) => Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve(JSON.parse(fs.readFileSync(path.join(root, url), 'utf8')))
+        })
+    };
+    vm.createContext(sandbox);
+    ['site-config.js', 'catalog.js', 'product-filters.js', 'structured-data.js', 'gst.js', 'inventory.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), sandbox, { filename: file });
+    });
+    await window.catalog.ready;
+    window.siteConfig.productPages = true;
+    return window;
+}
+
+function baseUrl(siteConfig) {
+    let url = argValue('--base-url') || process.env.SITE_URL || siteConfig.siteUrl;
+    if (!url) {
+        url = 'http://localhost:8080/';
+        console.warn(`⚠️  No --base-url given; canonical links and sitemap.xml use ${url}`);
+    }
+    return url.endsWith('/') ? url : url + '/';
+}
+
+// ----- Assets -----
+
+function walk(dir, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            // Dot-directories (.git, .vscode, ...) are tooling, never site content
+            if (!skipDirs.has(entry.name) && !entry.name.startsWith('.')) walk(full, files);
+        } else {
+            files.push(path.relative(root, full).split(path.sep).join('/'));
+        }
+    });
+    return files;
+}
+
+function writeFile(relative, contents) {
+    const file = path.join(dist, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+}
+
+// The deployed site has the generated product pages to link to
+function distSiteConfig(contents) {
+    const source = contents.toString('utf8');
+    const enabled = source.replace(/^(\s*productPages:\s*)false,$/m, '$1true,');
+    if (enabled === source) {
+        throw new Error('site-config.js: "productPages: false," not found');
+    }
+    return Buffer.from(enabled);
+}
+
+// Copies CSS/JS under a content hash and returns the name map
+function fingerprintAssets() {
+    const assets = new Map();
+    fs.readdirSync(root)
+        .filter(name => fingerprintExtensions.has(path.extname(name)))
+        .forEach(name => {
+            const contents = name === 'site-config.js'
+                ? distSiteConfig(fs.readFileSync(path.join(root, name)))
+                : fs.readFileSync(path.join(root, name));
+            const hash = crypto.createHash('sha256').update(contents).digest('hex').slice(0, 10);
+            const ext = path.extname(name);
+            const hashed = `${path.basename(name, ext)}.${hash}${ext}`;
+            writeFile(hashed, contents);
+            assets.set(name, hashed);
+        });
+    return assets;
+}
+
+function copyStatic() {
+    const files = walk(root).filter(file => copyExtensions.has(path.extname(file).toLowerCase()));
+    files.forEach(file => writeFile(file, fs.readFileSync(path.join(root, file))));
+    return files.length;
+}
+
+// Point script/stylesheet references at the hashed copies; old ?v= cache
+// busters are dropped
+function rewriteAssets(html, assets) {
+    return html.replace(/(\s(?:src|href)=")([^"?#]+\.(?:css|js))(?:\?[^"]*)?"/g, (m, start, ref) => {
+        return assets.has(ref) ? `${start}${assets.get(ref)}"` : m;
+    });
+}
+
+// ----- Pages -----
+
+function productUrl(id) {
+    return `product-${encodeURIComponent(id)}.html`;
+}
+
+function categoryUrl(category) {
+    return `category-${encodeURIComponent(category)}.html`;
+}
+
+function summary(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > 200 ? clean.slice(0, 197) + '...' : clean;
+}
+
+function productPage(p, site) {
+    const images = p.images || [p.image];
+    const components = site.catalog.components(p.id);
+    const url = site.url + productUrl(p.id);
+
+    const content = render(template('product'), {
+        id: p.id,
+        name: p.name,
+        tagline: p.tagline,
+        image: images[0],
+        thumbs: images.length > 1,
+        images: images.map((src, i) => ({ src, alt: `${p.name} image ${i + 1}` })),
+        price: formatRupee(p.price),
+        originalPrice: p.savings > 0 ? formatRupee(p.originalPrice) : null,
+        savings: p.savings > 0 ? formatRupee(p.savings) : null,
+        taxNote: site.gst.priceNote(),
+        description: p.description,
+        ingredients: p.ingredients,
+        benefits: p.benefits || [],
+        components: components.map(c => ({ name: c.name, href: productUrl(c.id) })),
+        shareUrl: `https://wa.me/?text=${encodeURIComponent(`${p.name} at ${site.storeName}: ${url}`)}`
+    });
+
+    return {
+        file: productUrl(p.id),
+        title: `${p.name} - ${site.storeName}`,
+        description: summary(p.tagline || p.description),
+        image: images[0],
+        ogType: 'product',
+        products: [p],
+        heading: p.name,
+        breadcrumbs: [
+            { label: 'Home', href: 'index.html' },
+            { label: site.labels.label(p.category), href: categoryUrl(p.category) }
+        ],
+        content
+    };
+}
+
+function productCards(products) {
+    return products.map(p => ({
+        id: p.id,
+        name: p.name,
+        href: productUrl(p.id),
+        image: p.images ? p.images[0] : p.image,
+        price: formatRupee(p.price)
+    }));
+}
+
+function categoryPage(category, site) {
+    const heading = site.labels.label(category);
+    const products = site.catalog.byCategory(category).filter(p => p.listed !== false);
+
+    return {
+        file: categoryUrl(category),
+        title: `${heading} - ${site.storeName}`,
+        description: `${heading} from ${site.storeName}: ${products.map(p => p.name).join(', ')}.`,
+        image: products.length ? productCards(products)[0].image : 'Photos/logo img.jpeg',
+        ogType: 'website',
+        products,
+        heading,
+        breadcrumbs: [
+            { label: 'Home', href: 'index.html' },
+            { label: 'Categories', href: 'categories.html' }
+        ],
+        content: render(template('category'), {
+            heading,
+            collectionPage: collectionPages[category],
+            products: productCards(products)
+        })
+    };
+}
+
+function categoriesPage(site) {
+    const categories = site.catalog.categories().map(category => {
+        const products = site.catalog.byCategory(category).filter(p => p.listed !== false);
+        const range = site.catalog.priceRange(category);
+        return {
+            label: site.labels.label(category),
+            href: categoryUrl(category),
+            image: products.length ? productCards(products)[0].image : '',
+            count: products.length,
+            range: range && `${formatRupee(range.min)} - ${formatRupee(range.max)}`
+        };
+    });
+
+    return {
+        file: 'categories.html',
+        title: `Shop by Category - ${site.storeName}`,
+        description: `Browse ${categories.map(c => c.label).join(', ')} from ${site.storeName}.`,
+        image: 'Photos/logo img.jpeg',
+        ogType: 'website',
+        products: [],
+        heading: 'Shop by Category',
+        breadcrumbs: [{ label: 'Home', href: 'index.html' }],
+        content: render(template('categories'), { heading: 'Shop by Category', categories })
+    };
+}
+
+// Organization plus the page's products, checked before it is written
+function structuredData(page, site) {
+    const schema = site.structuredData;
+    const options = { baseUrl: site.url };
+    const json = schema.graph([
+        schema.organization(options),
+        ...page.products.map(p => schema.product(p, { ...options, url: site.url + productUrl(p.id) }))
+    ]);
+
+    const problems = schema.validate(json);
+    if (problems.length) {
+        throw new Error(`${page.file}: invalid structured data\n  ${problems.join('\n  ')}`);
+    }
+    return `<script type="application/ld+json" id="structured-data">\n${schema.serialize(json)}\n</script>`;
+}
+
+function sitemap(urls) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(({ loc, lastmod }) =>
+            `  <url><loc>${escapeXml(loc)}</loc><lastmod>${lastmod}</lastmod></url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function lastModified(file) {
+    return fs.statSync(path.join(root, file)).mtime.toISOString().slice(0, 10);
+}
+
+// ----- Build -----
+
+async function build() {
+    const started = Date.now();
+    const window = await loadSite();
+    const { catalog, siteConfig } = window;
+
+    const site = {
+        catalog,
+        labels: window.productFilters,
+        structuredData: window.structuredData,
+        gst: window.gst,
+        storeName: siteConfig.storeName,
+        url: baseUrl(siteConfig)
+    };
+
+    // Shared by every partial
+    const data = {
+        storeName: site.storeName,
+        categories: catalog.categories().map(category => ({
+            label: site.labels.label(category),
+            href: categoryUrl(category)
+        }))
+    };
+
+    // Catalog images that are missing would only show up as broken pages
+    catalog.all().forEach(p => (p.images || [p.image]).forEach(image => {
+        if (!fs.existsSync(path.join(root, image))) {
+            console.warn(`⚠️  ${p.id}: image "${image}" not found`);
+        }
+    }));
+
+    fs.rmSync(dist, { recursive: true, force: true });
+    fs.mkdirSync(dist, { recursive: true });
+
+    const assets = fingerprintAssets();
+    const copied = copyStatic();
+    const urls = [];
+
+    // Home page first, so it leads the sitemap
+    const sourcePages = fs.readdirSync(root)
+        .filter(name => name.endsWith('.html'))
+        .sort((a, b) => (b === 'index.html') - (a === 'index.html') || a.localeCompare(b));
+    sourcePages.forEach(file => {
+        const html = renderPage(fs.readFileSync(path.join(root, file), 'utf8'), data, file);
+        writeFile(file, rewriteAssets(html, assets));
+        urls.push({ loc: site.url + (file === 'index.html' ? '' : file), lastmod: lastModified(file) });
+    });
+
+    const generated = [
+        categoriesPage(site),
+        ...catalog.categories().map(category => categoryPage(category, site)),
+        ...catalog.all().map(p => productPage(p, site))
+    ];
+    const catalogDate = lastModified('catalog.json');
+    generated.forEach(page => {
+        const html = render(template('layout'), {
+            ...data,
+            ...page,
+            url: site.url + page.file,
+            image: site.url + encodeURI(page.image),
+            structuredData: structuredData(page, site)
+        });
+        writeFile(page.file, rewriteAssets(html, assets));
+        urls.push({ loc: site.url + page.file, lastmod: catalogDate });
+    });
+
+    writeFile('sitemap.xml', sitemap(urls));
+
+    console.log(`✅ Built ${sourcePages.length} pages, ${generated.length} generated pages, ` +
+        `${assets.size} fingerprinted assets and ${copied} static files into dist/ ` +
+        `in ${Date.now() - started}ms`);
+}
+
+build().catch(error => {
+    console.error(`❌ Build failed: ${error.message}`);
+    process.exitCode = 1;
+});
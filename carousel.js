@@ -0,0 +1,440 @@
+/**
+ * ===== CAROUSEL =====
+ * One carousel component for every slider on the site, configured from
+ * data- attributes on the root element:
+ *
+ *   data-carousel="fade|slide"          fade toggles .active on the slides (CSS
+ *                                       does the cross-fade); slide moves the
+ *                                       track with translateX
+ *   data-carousel-autoplay="4000"       advance every n ms (empty = 5000);
+ *                                       leave out for no autoplay
+ *   data-carousel-pause-on-hover="false"  keep playing under the mouse
+ *   data-carousel-swipe="false"         no touch swiping
+ *   data-carousel-keyboard="false"      no arrow keys (and no tab stop)
+ *   data-carousel-click-advance         clicking the carousel shows the next slide
+ *   data-carousel-dot-class="perfume-dot"  class of the generated dots (default "dot")
+ *   data-carousel-label="Perfume gallery"  accessible name of the carousel
+ *
+ * Parts inside the root:
+ *   [data-carousel-track]   element moved in slide mode
+ *   [data-carousel-slide]   the slides; a slide with data-src gets that image
+ *                           loaded into it (with a fallback when it fails)
+ *   [data-carousel-prev] / [data-carousel-next]   buttons
+ *   [data-carousel-dots]    container the dots are generated into
+ *
+ * Carousels follow the WAI-ARIA carousel pattern: the root is a labelled
+ * region, each slide a group labelled "n of total", the dots are buttons
+ * marking the current slide with aria-current, and autoplaying carousels get
+ * a play/pause button. Slide changes made by the visitor are announced
+ * through a polite live region (muted while autoplay runs). Autoplay pauses
+ * while the carousel has keyboard focus or the tab is hidden, and never
+ * starts for visitors who prefer reduced motion.
+ *
+ * Each change fires a "carousel:change" event on the root with detail
+ * { index, carousel }.
+ *
+ * API:
+ *   Carousel.initAll(root)      start every [data-carousel] not yet running
+ *   Carousel.get(element)       instance for a root element, or null
+ *   Carousel.destroyAll()       destroy every instance
+ *   carousel.goTo(i) / next() / prev() / play() / pause() / destroy()
+ */
+
+class Carousel {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = { ...Carousel.readOptions(root), ...options };
+
+        this.slides = Array.from(root.querySelectorAll('[data-carousel-slide]'));
+        this.track = root.querySelector('[data-carousel-track]');
+        this.prevBtn = root.querySelector('[data-carousel-prev]');
+        this.nextBtn = root.querySelector('[data-carousel-next]');
+        this.dotsContainer = root.querySelector('[data-carousel-dots]');
+        this.dots = [];
+        this.swiped = false;
+
+        const active = this.slides.findIndex(slide => slide.classList.contains('active'));
+        this.index = active > 0 ? active : 0;
+
+        // Autoplay runs while playing is set and nothing holds it (hover,
+        // touch, keyboard focus, hidden tab); each hold has its own reason
+        this.timer = null;
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.playing = this.options.autoplay > 0 && this.slides.length > 1 &&
+            !(this.reducedMotion && this.reducedMotion.matches);
+        this.holds = new Set();
+
+        // Aborting this removes every listener the carousel added
+        this.events = new AbortController();
+
+        this.init();
+    }
+
+    static readOptions(root) {
+        const data = root.dataset;
+        const flag = (value, fallback) => value === undefined ? fallback : value !== 'false';
+        const autoplay = data.carouselAutoplay;
+
+        return {
+            mode: data.carousel === 'slide' ? 'slide' : 'fade',
+            autoplay: autoplay === undefined || autoplay === 'false' ? 0 : Number(autoplay) || 5000,
+            pauseOnHover: flag(data.carouselPauseOnHover, true),
+            swipe: flag(data.carouselSwipe, true),
+            keyboard: flag(data.carouselKeyboard, true),
+            clickAdvance: flag(data.carouselClickAdvance, false),
+            dotClass: data.carouselDotClass || 'dot',
+            label: data.carouselLabel || root.getAttribute('aria-label') || 'Image carousel'
+        };
+    }
+
+    init() {
+        const signal = this.events.signal;
+
+        this.loadImages();
+        this.setupAria();
+        this.renderDots();
+        this.renderPlayButton();
+
+        if (this.prevBtn) {
+            this.prevBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.prev();
+            }, { signal });
+        }
+        if (this.nextBtn) {
+            this.nextBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.next();
+            }, { signal });
+        }
+
+        if (this.options.pauseOnHover) {
+            this.root.addEventListener('mouseenter', () => this.hold('hover'), { signal });
+            this.root.addEventListener('mouseleave', () => this.release('hover'), { signal });
+        }
+
+        // Keyboard users get a still carousel until focus leaves it
+        this.root.addEventListener('focusin', () => this.hold('focus'), { signal });
+        this.root.addEventListener('focusout', (e) => {
+            if (!this.root.contains(e.relatedTarget)) this.release('focus');
+        }, { signal });
+
+        if (this.reducedMotion && this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', (e) => {
+                if (e.matches) this.pause();
+            }, { signal });
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.hold('hidden');
+            } else {
+                this.release('hidden');
+            }
+        }, { signal });
+
+        if (this.options.swipe) this.setupSwipe();
+        if (this.options.keyboard) this.setupKeyboard();
+
+        if (this.options.clickAdvance) {
+            this.root.addEventListener('click', (e) => {
+                // Buttons inside the carousel (dots, wishlist hearts) keep their own action
+                if (this.swiped || e.target.closest('button, a')) return;
+                this.next();
+            }, { signal });
+        }
+
+        this.update();
+        this.schedule();
+    }
+
+    /**
+     * Load data-src images into their slides, falling back to a placeholder
+     */
+    loadImages() {
+        this.slides.forEach((slide, index) => {
+            const src = slide.dataset.src;
+            if (!src) return;
+
+            const img = new Image();
+            img.alt = slide.dataset.alt || `Slide ${index + 1}`;
+            img.loading = 'lazy';
+            img.onload = () => {
+                const loader = slide.querySelector('.slide-loader');
+                if (loader) loader.remove();
+                slide.querySelectorAll('img').forEach(existing => existing.remove());
+                slide.appendChild(img);
+                slide.classList.remove('error');
+            };
+            img.onerror = () => {
+                console.warn(`Failed to load image: ${src}`);
+                const loader = slide.querySelector('.slide-loader');
+                if (loader) loader.remove();
+                const fallback = new Image();
+                fallback.alt = img.alt;
+                fallback.src = Carousel.fallbackImage;
+                slide.appendChild(fallback);
+                slide.classList.add('error');
+            };
+            img.src = src;
+        });
+    }
+
+    setupAria() {
+        const total = this.slides.length;
+
+        this.root.setAttribute('role', 'region');
+        this.root.setAttribute('aria-roledescription', 'carousel');
+        this.root.setAttribute('aria-label', this.options.label);
+
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${index + 1} of ${total}`);
+        });
+
+        this.live = document.createElement('div');
+        this.live.className = 'carousel-live';
+        this.live.setAttribute('aria-live', 'polite');
+        this.live.setAttribute('aria-atomic', 'true');
+        this.root.appendChild(this.live);
+    }
+
+    renderDots() {
+        if (!this.dotsContainer) return;
+
+        this.dotsContainer.innerHTML = '';
+        this.dotsContainer.setAttribute('role', 'group');
+        this.dotsContainer.setAttribute('aria-label', 'Choose slide');
+        this.dots = this.slides.map((slide, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = this.options.dotClass;
+            dot.setAttribute('aria-label', `Slide ${index + 1}`);
+            dot.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.goTo(index);
+            }, { signal: this.events.signal });
+            this.dotsContainer.appendChild(dot);
+            return dot;
+        });
+    }
+
+    /**
+     * Autoplaying carousels need a control to stop the rotation
+     */
+    renderPlayButton() {
+        if (!this.options.autoplay || this.slides.length < 2) return;
+
+        this.playBtn = document.createElement('button');
+        this.playBtn.type = 'button';
+        this.playBtn.className = 'carousel-play';
+        this.playBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }, { signal: this.events.signal });
+        this.root.appendChild(this.playBtn);
+        this.updatePlayButton();
+    }
+
+    updatePlayButton() {
+        if (!this.playBtn) return;
+        this.playBtn.textContent = this.playing ? '❚❚' : '▶';
+        this.playBtn.setAttribute('aria-label', this.playing ? 'Stop automatic slide show' : 'Start automatic slide show');
+    }
+
+    setupSwipe() {
+        const signal = this.events.signal;
+        let startX = 0;
+        let startY = 0;
+
+        this.root.addEventListener('touchstart', (e) => {
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            this.swiped = false;
+            this.hold('touch');
+        }, { passive: true, signal });
+
+        this.root.addEventListener('touchmove', (e) => {
+            const diffX = Math.abs(e.touches[0].clientX - startX);
+            const diffY = Math.abs(e.touches[0].clientY - startY);
+
+            // Horizontal swipes move the carousel instead of scrolling the page
+            if (diffX > diffY && diffX > 30) {
+                this.swiped = true;
+                e.preventDefault();
+            }
+        }, { passive: false, signal });
+
+        this.root.addEventListener('touchend', (e) => {
+            const diffX = startX - e.changedTouches[0].clientX;
+            if (this.swiped && Math.abs(diffX) > 50) {
+                if (diffX > 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+            }
+            this.release('touch');
+            // Let the click that follows a swipe pass without advancing again
+            setTimeout(() => { this.swiped = false; }, 0);
+        }, { passive: true, signal });
+    }
+
+    setupKeyboard() {
+        if (!this.root.hasAttribute('tabindex')) {
+            this.root.setAttribute('tabindex', '0');
+            this.addedTabindex = true;
+        }
+
+        this.root.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.prev();
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.next();
+            }
+        }, { signal: this.events.signal });
+    }
+
+    goTo(index) {
+        const total = this.slides.length;
+        if (!total) return;
+
+        const target = (index + total) % total;
+        if (target !== this.index) {
+            this.index = target;
+            this.update();
+            this.announce();
+            this.root.dispatchEvent(new CustomEvent('carousel:change', {
+                detail: { index: target, carousel: this }
+            }));
+        }
+
+        // Give every slide the full interval, however it was reached
+        this.schedule();
+    }
+
+    /**
+     * Tell screen readers which slide is showing. The live region is muted
+     * while autoplay runs, so only the visitor's own changes are read out.
+     */
+    announce() {
+        if (!this.live) return;
+        const slide = this.slides[this.index];
+        const image = slide.matches('img') ? slide : slide.querySelector('img');
+        const name = slide.dataset.alt || (image && image.alt) || '';
+        this.live.textContent = `Slide ${this.index + 1} of ${this.slides.length}${name ? ': ' + name : ''}`;
+    }
+
+    next() {
+        this.goTo(this.index + 1);
+    }
+
+    prev() {
+        this.goTo(this.index - 1);
+    }
+
+    update() {
+        this.slides.forEach((slide, index) => {
+            const active = index === this.index;
+            slide.classList.toggle('active', active);
+            slide.setAttribute('aria-hidden', String(!active));
+        });
+
+        this.dots.forEach((dot, index) => {
+            dot.classList.toggle('active', index === this.index);
+            if (index === this.index) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.options.mode === 'slide' && this.track) {
+            this.track.style.transform = `translateX(-${this.index * 100}%)`;
+        }
+    }
+
+    /**
+     * (Re)start the autoplay timer when autoplay should be running
+     */
+    schedule() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.playing && !this.holds.size) {
+            this.timer = setInterval(() => this.next(), this.options.autoplay);
+        }
+        if (this.live) {
+            this.live.setAttribute('aria-live', this.timer ? 'off' : 'polite');
+        }
+    }
+
+    play() {
+        if (this.slides.length < 2) return;
+        this.playing = true;
+        this.options.autoplay = this.options.autoplay || 5000;
+        // Pressing play is an explicit request, even with focus on the button
+        this.holds.delete('focus');
+        this.updatePlayButton();
+        this.schedule();
+    }
+
+    pause() {
+        this.playing = false;
+        this.updatePlayButton();
+        this.schedule();
+    }
+
+    hold(reason) {
+        this.holds.add(reason);
+        this.schedule();
+    }
+
+    release(reason) {
+        this.holds.delete(reason);
+        this.schedule();
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.events.abort();
+
+        if (this.dotsContainer) this.dotsContainer.innerHTML = '';
+        if (this.live) this.live.remove();
+        if (this.playBtn) this.playBtn.remove();
+        if (this.track) this.track.style.transform = '';
+        if (this.addedTabindex) this.root.removeAttribute('tabindex');
+
+        Carousel.instances.delete(this.root);
+    }
+
+    static initAll(root = document) {
+        root.querySelectorAll('[data-carousel]').forEach(element => {
+            if (!Carousel.instances.has(element)) {
+                Carousel.instances.set(element, new Carousel(element));
+            }
+        });
+    }
+
+    static get(element) {
+        return Carousel.instances.get(element) || null;
+    }
+
+    static destroyAll() {
+        Carousel.instances.forEach(carousel => carousel.destroy());
+    }
+}
+
+Carousel.instances = new Map();
+
+Carousel.fallbackImage = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxOCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIE5vdCBBdmFpbGFibGU8L3RleHQ+PC9zdmc+';
+
+window.Carousel = Carousel;
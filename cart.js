@@ -0,0 +1,185 @@
+/**
+ * ===== CART ENGINE =====
+ * The one cart implementation for the site. Holds the cart in localStorage
+ * under the "cart" key and notifies subscribers after every change.
+ *
+ * API (window.cart):
+ *   add(id, qty = 1, details)   add qty of a product; name and price come from
+ *                               window.catalog, or from details ({ name, price })
+ *                               for ids the catalog does not know; throws when
+ *                               fewer than qty are left in stock (inventory.js)
+ *                               or qty is not a positive whole number
+ *   setQty(id, qty)             set an exact quantity (0 or less removes the
+ *                               line); raising it is limited by stock as add(),
+ *                               and qty must be a whole number
+ *   remove(id)                  drop a line
+ *   clear()                     empty the cart
+ *   subscribe(listener)         listener(event) runs after each change; returns
+ *                               an unsubscribe function
+ *   items() / get(id) / count() / total()   read helpers
+ *   contents()                  what ships: bundles expanded into their
+ *                               components, quantities merged per product
+ *
+ * Bundle lines carry components: [{ id, name, qty }] (qty per bundle).
+ *
+ * Events are { type, id, item, cart } where type is one of
+ * "add", "update", "remove", "clear" or "sync" (changed in another tab).
+ */
+
+class CartEngine {
+    constructor(storageKey = 'cart') {
+        this.storageKey = storageKey;
+        this.listeners = new Set();
+
+        // Pick up changes made in other tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.emit({ type: 'sync', id: null, item: null });
+            }
+        });
+    }
+
+    /**
+     * Read the stored cart as an { id: item } map
+     */
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Persist the cart and notify subscribers
+     */
+    write(data, event) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+        this.emit(event);
+    }
+
+    emit(event) {
+        const payload = { ...event, cart: this };
+        this.listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error('Cart listener failed:', error);
+            }
+        });
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * qty as a number; form values such as "2" are accepted, anything that is
+     * not a whole number (above zero unless allowZero) throws
+     */
+    quantity(qty, allowZero = false) {
+        const value = Number(qty);
+        if (!Number.isInteger(value) || (!allowZero && value < 1)) {
+            throw new Error(`Invalid quantity "${qty}"`);
+        }
+        return value;
+    }
+
+    /**
+     * Throw unless qty more units of a product are in stock
+     */
+    checkStock(id, name, qty) {
+        const remaining = window.inventory ? window.inventory.remaining(id, this.items()) : Infinity;
+        if (qty > remaining) {
+            throw new Error(remaining > 0
+                ? `Only ${remaining} more of "${name}" in stock`
+                : `No more of "${name}" in stock`);
+        }
+    }
+
+    add(id, qty = 1, details = {}) {
+        qty = this.quantity(qty);
+        const product = window.catalog ? window.catalog.get(id) : null;
+        const name = product ? product.name : details.name;
+        const price = product ? product.price : Number(details.price);
+
+        if (!id || !name || !Number.isFinite(price)) {
+            throw new Error(`Cannot add "${id}" to cart: unknown product`);
+        }
+        this.checkStock(id, name, qty);
+
+        const data = this.read();
+        if (!data[id]) {
+            data[id] = { id, name, price, qty: 0 };
+            if (product && product.components) {
+                data[id].components = window.catalog.components(id)
+                    .map(part => ({ id: part.id, name: part.name, qty: 1 }));
+            }
+        }
+        data[id].qty += qty;
+        this.write(data, { type: 'add', id, item: data[id], qty });
+        return data[id];
+    }
+
+    setQty(id, qty) {
+        qty = this.quantity(qty, true);
+        const data = this.read();
+        if (!data[id]) return;
+
+        if (qty <= 0) {
+            this.remove(id);
+            return;
+        }
+
+        if (qty > data[id].qty) {
+            this.checkStock(id, data[id].name, qty - data[id].qty);
+        }
+        data[id].qty = qty;
+        this.write(data, { type: 'update', id, item: data[id] });
+    }
+
+    remove(id) {
+        const data = this.read();
+        const item = data[id];
+        if (!item) return;
+
+        delete data[id];
+        this.write(data, { type: 'remove', id, item });
+    }
+
+    clear() {
+        this.write({}, { type: 'clear', id: null, item: null });
+    }
+
+    items() {
+        return Object.values(this.read());
+    }
+
+    get(id) {
+        return this.read()[id] || null;
+    }
+
+    count() {
+        return this.items().reduce((sum, item) => sum + (item.qty || 0), 0);
+    }
+
+    total() {
+        return this.items().reduce((sum, item) => sum + item.price * item.qty, 0);
+    }
+
+    contents() {
+        const lines = new Map();
+        this.items().forEach(item => {
+            const parts = item.components || [{ id: item.id, name: item.name, qty: 1 }];
+            parts.forEach(part => {
+                const line = lines.get(part.id) || { id: part.id, name: part.name, qty: 0 };
+                line.qty += part.qty * item.qty;
+                lines.set(part.id, line);
+            });
+        });
+        return [...lines.values()];
+    }
+}
+
+window.cart = new CartEngine();
@@ -0,0 +1,137 @@
+/**
+ * ===== PRODUCT CATALOG =====
+ * Single source of product data for every page.
+ * Loads catalog.json once and exposes lookup helpers on window.catalog.
+ *
+ * Products carry "hsn" (HSN code, SAC for services) and "gstRate" (percent)
+ * for tax (gst.js), and "weight" (grams, packed) for delivery charges
+ * (shipping.js); programs that are not shipped weigh 0. "stock" is the number
+ * of units on hand (inventory.js); products without it, like the programs,
+ * are never out of stock.
+ *
+ * Bundles (combos) list their parts in "components" and an optional
+ * "bundleDiscount" in rupees. Their price, originalPrice, savings,
+ * includes (component names), weight and, unless given, concerns, hsn and
+ * gstRate are derived from the component entries. Bundles have no stock of
+ * their own; inventory.js works it out from the parts. A bundle is a mixed
+ * supply, so it takes the highest GST rate of its parts.
+ */
+
+class ProductCatalog {
+    constructor(url) {
+        this.url = url;
+        this.products = [];
+        this.index = new Map();
+
+        // Resolves with the catalog once catalog.json has been loaded
+        this.ready = this.load();
+    }
+
+    /**
+     * Fetch and index the catalog file
+     */
+    load() {
+        return fetch(this.url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Catalog request failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                this.setProducts(data.products || []);
+                console.log(`✅ Catalog loaded: ${this.products.length} products`);
+                return this;
+            });
+    }
+
+    /**
+     * Replace the catalog contents and rebuild the id index
+     */
+    setProducts(list) {
+        this.products = list.map(p => ({ ...p, price: Number(p.price) }));
+        this.index = new Map(this.products.map(p => [p.id, p]));
+        this.products.filter(p => p.components).forEach(p => this.resolveBundle(p));
+    }
+
+    /**
+     * Derive a bundle's prices and contents from its components
+     */
+    resolveBundle(bundle) {
+        const missing = bundle.components.filter(id => !this.index.has(id));
+        if (missing.length) {
+            console.error(`❌ Bundle "${bundle.id}" references unknown products: ${missing.join(', ')}`);
+            bundle.components = bundle.components.filter(id => this.index.has(id));
+        }
+
+        const parts = this.components(bundle.id);
+        bundle.originalPrice = parts.reduce((sum, p) => sum + p.price, 0);
+        bundle.price = Math.max(0, bundle.originalPrice - (Number(bundle.bundleDiscount) || 0));
+        bundle.savings = bundle.originalPrice - bundle.price;
+        bundle.includes = parts.map(p => p.name);
+        bundle.weight = parts.reduce((sum, p) => sum + (Number(p.weight) || 0), 0);
+        if (!bundle.concerns) {
+            bundle.concerns = [...new Set(parts.flatMap(p => p.concerns || []))];
+        }
+        if (bundle.gstRate === undefined && parts.length) {
+            const highest = parts.reduce((top, p) => (Number(p.gstRate) > Number(top.gstRate) ? p : top));
+            bundle.gstRate = highest.gstRate;
+            bundle.hsn = highest.hsn;
+        }
+    }
+
+    /**
+     * All catalog entries
+     */
+    all() {
+        return this.products.slice();
+    }
+
+    /**
+     * Look up a single entry by id, or null when unknown
+     */
+    get(id) {
+        return this.index.get(id) || null;
+    }
+
+    /**
+     * Component entries of a bundle (empty for single products)
+     */
+    components(id) {
+        const p = this.get(id);
+        return p && p.components ? p.components.map(cid => this.get(cid)).filter(Boolean) : [];
+    }
+
+    /**
+     * Entries of one category, or every entry grouped by category when
+     * called without an argument
+     */
+    byCategory(category) {
+        if (category) {
+            return this.products.filter(p => p.category === category);
+        }
+
+        return this.products.reduce((groups, p) => {
+            (groups[p.category] = groups[p.category] || []).push(p);
+            return groups;
+        }, {});
+    }
+
+    /**
+     * Category names in catalog order
+     */
+    categories() {
+        return [...new Set(this.products.map(p => p.category))];
+    }
+
+    /**
+     * Lowest and highest price in a category
+     */
+    priceRange(category) {
+        const prices = this.byCategory(category).map(p => p.price);
+        if (!prices.length) return null;
+        return { min: Math.min(...prices), max: Math.max(...prices) };
+    }
+}
+
+window.catalog = new ProductCatalog('catalog.json');
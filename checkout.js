@@ -0,0 +1,196 @@
+/**
+ * ===== WHATSAPP ORDER CHECKOUT =====
+ * Turns the cart into an order message and hands it to WhatsApp.
+ * Orders are kept in the order history (orders.js): status "new" once
+ * created, "sent" once opened in WhatsApp. With UPI (payments.js) the order
+ * is created first and only sent after the payment step.
+ *
+ * API (window.checkout):
+ *   validateCustomer(customer)   { field: message } for each invalid field
+ *   savedCustomer()              last delivery address used (addresses.js)
+ *   pricing(items, destination)  totals after promotions (see promotions.js)
+ *                                with delivery to destination.pincode
+ *                                (shipping.js) and GST for destination.state
+ *                                (gst.js) as pricing.tax; the destination
+ *                                defaults to the last address used
+ *   buildMessage(order)          plain-text order message
+ *   whatsappUrl(order)           wa.me deep link carrying the message
+ *   createOrder(customer, paymentMethod)
+ *                                snapshot the cart as an order with its
+ *                                invoice number (invoice.js), save it and the
+ *                                address (address book), clear the cart;
+ *                                paymentMethod is "upi" or "later" (default);
+ *                                returns the order
+ *   sendOrder(order)             mark it sent, save it and open WhatsApp;
+ *                                returns the sent order
+ *   placeOrder(customer, paymentMethod)
+ *                                createOrder and sendOrder in one go
+ *   orders()                     promise of previously sent orders, newest first
+ */
+
+window.checkout = {
+    whatsappNumber: window.siteConfig.whatsapp,
+    storeName: window.siteConfig.storeName,
+    customerKey: 'checkout-customer',
+
+    validateCustomer: function(customer) {
+        const errors = {};
+        const phone = (customer.phone || '').replace(/[\s-]/g, '');
+
+        if (!customer.name || customer.name.trim().length < 2) {
+            errors.name = 'Please enter your name';
+        }
+        if (!/^(\+?91)?[6-9]\d{9}$/.test(phone)) {
+            errors.phone = 'Please enter a valid 10-digit mobile number';
+        }
+        if (!customer.address || customer.address.trim().length < 5) {
+            errors.address = 'Please enter your house number, street and area';
+        }
+        if (!customer.city || customer.city.trim().length < 2) {
+            errors.city = 'Please enter your town or city';
+        }
+        const pincodeError = window.shipping.validatePincode(customer.pincode);
+        if (pincodeError) {
+            errors.pincode = pincodeError;
+        }
+        if (!window.gst.stateName(customer.state)) {
+            errors.state = 'Please choose your state';
+        }
+
+        return errors;
+    },
+
+    // Last customer details used, to prefill the form. Customers from before
+    // the address book still have theirs under the old key.
+    savedCustomer: function() {
+        const latest = window.addressBook.all()[0];
+        if (latest) return latest;
+        try {
+            return JSON.parse(localStorage.getItem(this.customerKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    // Cart totals with the active promotions applied, delivery priced and GST
+    // worked out; with prices that exclude GST the tax is added to the total
+    pricing: function(items, destination = this.savedCustomer()) {
+        let pricing;
+        if (window.promotions) {
+            pricing = window.promotions.apply(items, { pincode: destination.pincode });
+        } else {
+            const subtotal = items.reduce((sum, item) => sum + item.price * item.qty, 0);
+            pricing = { subtotal, discounts: [], discountTotal: 0, shipping: 0, total: subtotal };
+        }
+        const tax = window.gst.calculate(items, pricing, destination.state);
+        return { ...pricing, tax, total: tax.total };
+    },
+
+    buildMessage: function(order) {
+        const lines = [];
+        order.items.forEach((item, i) => {
+            lines.push(`${i + 1}. ${item.name} × ${item.qty} — ${formatRupee(item.price * item.qty)}`);
+            // Spell out bundle contents so we know exactly what to pack
+            (item.components || []).forEach(part => {
+                lines.push(`    • ${part.name} × ${part.qty * item.qty}`);
+            });
+        });
+
+        return [
+            `🛍️ New Order – ${this.storeName}`,
+            `Order #${order.id}`,
+            '',
+            ...lines,
+            '',
+            // Orders saved before promotions existed only carry a total
+            ...(order.discounts ? [
+                `Subtotal: ${formatRupee(order.subtotal)}`,
+                ...order.discounts.map(discount => `${discount.label}: −${formatRupee(discount.amount)}`),
+                `Delivery: ${order.shipping ? formatRupee(order.shipping) : 'FREE'}${order.delivery && order.delivery.weight
+                    ? ` (${order.delivery.label}, ${window.shipping.formatWeight(order.delivery.weight)})` : ''}`
+            ] : []),
+            ...(order.tax ? [
+                `${order.tax.inclusive ? 'Includes ' : ''}${window.gst.describe(order.tax)}`,
+                ...(order.tax.roundOff ? [`Round off: ${formatRupee(order.tax.roundOff)}`] : [])
+            ] : []),
+            `Total: ${formatRupee(order.total)}`,
+            ...(order.payment ? [`Payment: ${window.upi.describe(order.payment)}`] : []),
+            '',
+            `Name: ${order.customer.name}`,
+            `Phone: ${order.customer.phone}`,
+            `Address: ${window.addressBook.format(order.customer).join(', ')}`
+        ].join('\n');
+    },
+
+    whatsappUrl: function(order) {
+        return `https://wa.me/${this.whatsappNumber}?text=${encodeURIComponent(this.buildMessage(order))}`;
+    },
+
+    createOrder: function(customer, paymentMethod = 'later') {
+        const items = window.cart.items();
+        if (!items.length) {
+            throw new Error('Cannot place an order with an empty cart');
+        }
+
+        const pricing = this.pricing(items, customer);
+        const order = {
+            id: 'SB-' + Date.now().toString(36).toUpperCase(),
+            date: new Date().toISOString(),
+            // HSN and rate as they were when ordered, for the invoice
+            items: items.map(item => {
+                const { hsn, rate } = window.gst.rateFor(item.id);
+                return { ...item, hsn, gstRate: rate };
+            }),
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts,
+            shipping: pricing.shipping,
+            delivery: pricing.delivery,
+            tax: pricing.tax,
+            total: pricing.total,
+            customer: {
+                name: customer.name.trim(),
+                phone: customer.phone.trim(),
+                address: customer.address.trim(),
+                city: customer.city.trim(),
+                pincode: window.shipping.normalizePincode(customer.pincode),
+                state: customer.state
+            },
+            payment: window.upi.newPayment(paymentMethod, pricing.total),
+            status: 'new'
+        };
+        order.invoiceNumber = window.invoice.number(order);
+
+        this.saveOrder(order);
+        window.addressBook.save(order.customer);
+        window.cart.clear();
+        return order;
+    },
+
+    sendOrder: function(order) {
+        const sent = { ...order, status: order.status === 'new' ? 'sent' : order.status };
+        const url = this.whatsappUrl(sent);
+
+        this.saveOrder(sent);
+
+        // Fall back to same-tab navigation when the popup is blocked
+        const win = window.open(url, '_blank');
+        if (!win) {
+            window.location.href = url;
+        }
+        return sent;
+    },
+
+    placeOrder: function(customer, paymentMethod) {
+        return this.sendOrder(this.createOrder(customer, paymentMethod));
+    },
+
+    // Saving happens in the background so WhatsApp opens straight away
+    saveOrder: function(order) {
+        return window.orderHistory.save(order)
+            .catch(error => console.error('❌ Could not save order to history:', error));
+    },
+
+    orders: function() {
+        return window.orderHistory.all();
+    }
+};
@@ -0,0 +1,203 @@
+/**
+ * ===== CONTACT MESSAGES =====
+ * Validation, spam protection and delivery for #contact-form.
+ *
+ * Messages are { name, email, subject, message, page, sentAt } and are
+ * handed to a transport:
+ *   mailto     opens the visitor's mail app with the message filled in
+ *   whatsapp   opens WhatsApp chat with the shop
+ *   post       POSTs JSON to window.contact.endpoint (see dev/mock-server.js)
+ * The shop's email address and WhatsApp number come from window.siteConfig.
+ * More can be added with registerTransport(name, send), where send(message)
+ * returns a promise.
+ *
+ * POSTs that fail or happen offline go to an outbox in localStorage
+ * ("contact-outbox") and are retried on the next page load and whenever the
+ * device comes back online.
+ *
+ * Spam protection: a hidden honeypot field that people leave empty, a
+ * minimum fill-in time, and at most rateLimit.max messages per
+ * rateLimit.windowMs from one browser.
+ *
+ * API (window.contact):
+ *   validate(fields)            { field: message } for each invalid field
+ *   send(fields, options)       promise of { status } where status is "sent",
+ *                               "queued" or "ignored" (looked like spam)
+ *   flushOutbox()               retry queued messages
+ */
+
+window.contact = {
+    transport: 'mailto',
+    endpoint: null,
+    outboxKey: 'contact-outbox',
+    sentKey: 'contact-sent',
+    rateLimit: { max: 3, windowMs: 10 * 60 * 1000 },
+    minFillMs: 3000,
+
+    transports: {
+        mailto: function(message) {
+            const body = `${message.message}\n\n— ${message.name} (${message.email})`;
+            window.location.href = window.siteConfig.mailtoUrl(message.subject, body);
+            return Promise.resolve();
+        },
+
+        whatsapp: function(message) {
+            const text = [
+                `📩 ${message.subject}`,
+                '',
+                message.message,
+                '',
+                `From: ${message.name} (${message.email})`
+            ].join('\n');
+            const url = window.siteConfig.whatsappUrl(text);
+            if (!window.open(url, '_blank')) {
+                window.location.href = url;
+            }
+            return Promise.resolve();
+        },
+
+        post: function(message) {
+            return this.postTo(this.endpoint, message);
+        }
+    },
+
+    postTo: function(endpoint, message) {
+        if (!endpoint) {
+            return Promise.reject(new Error('No contact endpoint configured'));
+        }
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Contact request failed with status ${response.status}`);
+            }
+        });
+    },
+
+    registerTransport: function(name, send) {
+        this.transports[name] = send;
+    },
+
+    validate: function(fields) {
+        const errors = {};
+
+        if (!fields.name || fields.name.trim().length < 2) {
+            errors.name = 'Please enter your name';
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test((fields.email || '').trim())) {
+            errors.email = 'Please enter a valid email address';
+        }
+        if (!fields.subject || fields.subject.trim().length < 3) {
+            errors.subject = 'Please add a short subject';
+        }
+        if (!fields.message || fields.message.trim().length < 10) {
+            errors.message = 'Please write a message of at least 10 characters';
+        }
+
+        return errors;
+    },
+
+    readList: function(key) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    // Timestamps of recent messages, pruned to the rate-limit window
+    recentSends: function(now = Date.now()) {
+        return this.readList(this.sentKey).filter(time => now - time < this.rateLimit.windowMs);
+    },
+
+    isRateLimited: function() {
+        return this.recentSends().length >= this.rateLimit.max;
+    },
+
+    /**
+     * options: { honeypot, startedAt } from the form
+     */
+    send: function(fields, options = {}) {
+        // Bots fill hidden fields and submit instantly; pretend it worked
+        const tooFast = options.startedAt && Date.now() - options.startedAt < this.minFillMs;
+        if (options.honeypot || tooFast) {
+            console.warn('Contact message ignored by spam protection');
+            return Promise.resolve({ status: 'ignored' });
+        }
+
+        const errors = this.validate(fields);
+        if (Object.keys(errors).length) {
+            return Promise.reject(Object.assign(new Error('Please correct the highlighted fields'), { errors }));
+        }
+
+        if (this.isRateLimited()) {
+            return Promise.reject(new Error('You have sent several messages recently. Please try again in a few minutes.'));
+        }
+
+        const message = {
+            name: fields.name.trim(),
+            email: fields.email.trim(),
+            subject: fields.subject.trim(),
+            message: fields.message.trim(),
+            page: window.location.pathname,
+            sentAt: new Date().toISOString()
+        };
+
+        const transport = this.transports[this.transport];
+        if (!transport) {
+            return Promise.reject(new Error(`Unknown contact transport "${this.transport}"`));
+        }
+
+        localStorage.setItem(this.sentKey, JSON.stringify([...this.recentSends(), Date.now()]));
+
+        if (this.transport === 'post' && !navigator.onLine) {
+            this.enqueue(message);
+            return Promise.resolve({ status: 'queued' });
+        }
+
+        return transport.call(this, message)
+            .then(() => ({ status: 'sent' }))
+            .catch(error => {
+                if (this.transport !== 'post') throw error;
+                console.error('❌ Contact message not delivered, queued for retry:', error);
+                this.enqueue(message);
+                return { status: 'queued' };
+            });
+    },
+
+    enqueue: function(message) {
+        const outbox = this.readList(this.outboxKey);
+        // Keep the endpoint so any page can retry, not only the one with the form
+        outbox.push({ message, endpoint: this.endpoint, attempts: 0 });
+        localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+    },
+
+    flushOutbox: function() {
+        const outbox = this.readList(this.outboxKey);
+        if (!outbox.length || !navigator.onLine) {
+            return Promise.resolve(0);
+        }
+
+        // Send one at a time so a failure keeps the rest in order
+        const remaining = [];
+        let sent = 0;
+        return outbox.reduce((chain, entry) => chain.then(() => {
+            if (remaining.length) {
+                remaining.push(entry);
+                return;
+            }
+            return this.postTo(entry.endpoint || this.endpoint, entry.message)
+                .then(() => { sent++; })
+                .catch(() => remaining.push({ ...entry, attempts: entry.attempts + 1 }));
+        }), Promise.resolve()).then(() => {
+            localStorage.setItem(this.outboxKey, JSON.stringify(remaining));
+            if (sent) console.log(`✅ Delivered ${sent} queued contact message(s)`);
+            return sent;
+        });
+    }
+};
+
+window.addEventListener('online', () => window.contact.flushOutbox());
@@ -0,0 +1,275 @@
+/**
+ * ===== DEVELOPMENT MOCK SERVER =====
+ * Serves the site and fakes the form endpoints so they can be tried locally.
+ * No dependencies:
+ *
+ *   node dev/mock-server.js [port]      (default port 8080)
+ *
+ * Endpoints (data is kept in memory until the server stops):
+ *   POST /api/newsletter           { email, consentAt, source, token } -> 201
+ *                                  prints the confirmation link instead of
+ *                                  emailing it
+ *   POST /api/newsletter/confirm   { token } -> 200, or 404 for unknown tokens
+ *   GET  /api/newsletter.csv       subscriber export
+ *   POST /api/contact              { name, email, subject, message, page, sentAt }
+ *                                  -> 201, printed to the console
+ *   GET  /api/contact              messages received so far
+ *   POST /api/stock-alerts         { productId, email, createdAt } -> 201
+ *   GET  /api/stock-alerts         "notify me" sign-ups received so far
+ *   GET  /api/reviews              ?product=<id> and/or ?status=approved
+ *   POST /api/reviews              { productId, rating, name, text, photos, ... }
+ *                                  -> 201, always stored as "pending"
+ *   PATCH /api/reviews?id=<id>     { status } -> 200, moderation ("approved",
+ *                                  "rejected" or "pending"); 401 without the
+ *                                  owner token in X-Owner-Token
+ *
+ * Point the site at it by adding data-endpoint="/api/newsletter" to
+ * #newsletter-form, or data-transport="post" data-endpoint="/api/contact" to
+ * #contact-form, in index.html. For reviews set reviewsEndpoint: '/api/reviews'
+ * in site-config.js, and stockAlertsEndpoint: '/api/stock-alerts' for the
+ * "notify me" forms. The owner token is OWNER_TOKEN, or a random one printed
+ * at startup; store it in the browser with
+ *   localStorage.setItem('reviews-owner-token', '<token>')
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const root = path.resolve(__dirname, '..');
+const port = Number(process.argv[2]) || 8080;
+const ownerToken = process.env.OWNER_TOKEN || crypto.randomUUID();
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+const subscribers = new Map();
+const contactMessages = [];
+const stockAlerts = [];
+const reviews = [];
+
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// Rejects with error.status 413 once the body passes limit, 400 for bad JSON
+function readJson(req, limit = 1e5) {
+    return new Promise((resolve, reject) => {
+        // Raw Buffers, so the limit is in bytes whatever the encoding
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > limit) {
+                tooLarge = true;
+                chunks.length = 0;
+                // Stop reading but leave the socket open for the 413 reply
+                req.pause();
+                reject(Object.assign(new Error(`Body larger than ${limit} bytes`), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        const text = value == null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n');
+}
+
+const routes = {
+    'POST /api/newsletter': async (req, res) => {
+        const body = await readJson(req);
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(email)) {
+            return send(res, 400, { error: 'Invalid email address' });
+        }
+
+        const existing = subscribers.get(email);
+        if (existing) {
+            return send(res, 200, { status: existing.status });
+        }
+
+        const token = body.token || crypto.randomUUID();
+        subscribers.set(email, {
+            email,
+            status: 'pending',
+            consentAt: body.consentAt || new Date().toISOString(),
+            confirmedAt: null,
+            source: body.source || '',
+            token
+        });
+
+        console.log(`📧 Confirmation link for ${email}: http://localhost:${port}/index.html?newsletter-confirm=${token}`);
+        send(res, 201, { status: 'pending' });
+    },
+
+    'POST /api/newsletter/confirm': async (req, res) => {
+        const { token } = await readJson(req);
+        const subscriber = [...subscribers.values()].find(s => s.token === token);
+        if (!subscriber) {
+            return send(res, 404, { error: 'Unknown token' });
+        }
+
+        subscriber.status = 'confirmed';
+        subscriber.confirmedAt = new Date().toISOString();
+        send(res, 200, { status: 'confirmed' });
+    },
+
+    'GET /api/newsletter.csv': async (req, res) => {
+        const csv = toCsv([...subscribers.values()], ['email', 'status', 'consentAt', 'confirmedAt', 'source']);
+        send(res, 200, csv, 'text/csv; charset=utf-8');
+    },
+
+    'POST /api/contact': async (req, res) => {
+        const body = await readJson(req);
+        const missing = ['name', 'email', 'subject', 'message'].filter(field => !String(body[field] || '').trim());
+        if (missing.length) {
+            return send(res, 400, { error: `Missing ${missing.join(', ')}` });
+        }
+
+        const message = { ...body, receivedAt: new Date().toISOString() };
+        contactMessages.push(message);
+        console.log(`✉️  Contact message from ${message.name} <${message.email}>: ${message.subject}\n${message.message}`);
+        send(res, 201, { status: 'received' });
+    },
+
+    'GET /api/contact': async (req, res) => {
+        send(res, 200, contactMessages);
+    },
+
+    'POST /api/stock-alerts': async (req, res) => {
+        const body = await readJson(req);
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!body.productId || !/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(email)) {
+            return send(res, 400, { error: 'productId and a valid email are required' });
+        }
+
+        stockAlerts.push({ productId: body.productId, email, createdAt: body.createdAt || new Date().toISOString() });
+        console.log(`🔔 ${email} wants to know when ${body.productId} is back in stock`);
+        send(res, 201, { status: 'added' });
+    },
+
+    'GET /api/stock-alerts': async (req, res) => {
+        send(res, 200, stockAlerts);
+    },
+
+    'GET /api/reviews': async (req, res, query) => {
+        const product = query.get('product');
+        const status = query.get('status');
+        send(res, 200, reviews.filter(r => (!product || r.productId === product) && (!status || r.status === status)));
+    },
+
+    // Review photos are data URLs, hence the larger body limit
+    'POST /api/reviews': async (req, res) => {
+        const body = await readJson(req, 5e6);
+        const rating = Number(body.rating);
+        if (!body.productId || !Number.isInteger(rating) || rating < 1 || rating > 5 || !String(body.text || '').trim()) {
+            return send(res, 400, { error: 'productId, a rating of 1-5 and text are required' });
+        }
+
+        const review = {
+            ...body,
+            id: body.id || crypto.randomUUID(),
+            rating,
+            photos: Array.isArray(body.photos) ? body.photos.slice(0, 3) : [],
+            createdAt: new Date().toISOString(),
+            status: 'pending'
+        };
+        reviews.push(review);
+        console.log(`⭐ ${rating}-star review of ${review.productId} from ${review.name} (${review.id}), awaiting moderation`);
+        send(res, 201, review);
+    },
+
+    'PATCH /api/reviews': async (req, res, query) => {
+        const token = Buffer.from(String(req.headers['x-owner-token'] || ''));
+        const expected = Buffer.from(ownerToken);
+        if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+            return send(res, 401, { error: 'Owner token required' });
+        }
+
+        const review = reviews.find(r => r.id === query.get('id'));
+        if (!review) {
+            return send(res, 404, { error: 'Unknown review' });
+        }
+        const { status } = await readJson(req);
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+            return send(res, 400, { error: 'Unknown status' });
+        }
+
+        review.status = status;
+        send(res, 200, review);
+    }
+};
+
+function serveStatic(req, res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (e) {
+        return send(res, 400, { error: 'Bad request' });
+    }
+
+    // Only files inside the site, and no dotfiles (.git, .vscode, ...)
+    const file = path.join(root, decoded);
+    const relative = path.relative(root, file);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative) ||
+        relative.split(path.sep).some(part => part.startsWith('.'))) {
+        return send(res, 403, { error: 'Forbidden' });
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) return send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, `http://localhost:${port}`);
+    const route = routes[`${req.method} ${pathname}`];
+
+    if (route) {
+        route(req, res, searchParams).catch(error => {
+            console.error('❌ Mock endpoint failed:', error.message);
+            if (error.status === 413) {
+                // The rest of the body is not read, so do not keep the connection
+                res.setHeader('Connection', 'close');
+                send(res, 413, { error: 'Request body too large' });
+                return;
+            }
+            send(res, 400, { error: 'Bad request' });
+        });
+        return;
+    }
+    serveStatic(req, res, pathname);
+}).listen(port, () => {
+    console.log(`✅ Mock server running at http://localhost:${port}/`);
+    console.log(`🔑 Review moderation owner token: ${ownerToken}`);
+});
@@ -0,0 +1,180 @@
+/**
+ * ===== DIALOG =====
+ * Modal behaviour shared by the product detail, the cart and the wishlist
+ * drawer. Callers keep their own markup and show/hide animation; a Dialog
+ * adds what every modal needs:
+ *
+ *   - role="dialog", aria-modal and aria-labelledby on the panel
+ *   - focus moves into the dialog, Tab cycles inside it, and focus returns to
+ *     the element that opened it
+ *   - the rest of the page is inert and does not scroll
+ *   - Escape closes the topmost dialog
+ *   - opening adds a history entry, so the browser / mobile back button
+ *     closes the dialog instead of leaving the page
+ *
+ * Usage:
+ *   const dialog = new Dialog(panel, {
+ *       root: overlay,             top-level element in <body> (default: panel)
+ *       labelledBy: 'title-id',    id of the visible title
+ *       history: false,            leave history alone (the caller routes itself)
+ *       onClose: (options) => {}   hide the markup; runs however it was closed,
+ *                                  with options.fromHistory set for the back button
+ *   });
+ *   dialog.open(opener)          opener gets focus back (default: active element)
+ *   dialog.close()
+ */
+
+class Dialog {
+    constructor(panel, options = {}) {
+        this.panel = panel;
+        this.root = options.root || panel;
+        this.options = { history: true, ...options };
+        this.isOpen = false;
+        this.pushed = false;
+        this.opener = null;
+        this.inerted = [];
+
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        if (this.options.labelledBy) {
+            panel.setAttribute('aria-labelledby', this.options.labelledBy);
+        }
+        if (!panel.hasAttribute('tabindex')) {
+            panel.setAttribute('tabindex', '-1');
+        }
+
+        this.handleKeydown = (e) => this.onKeydown(e);
+    }
+
+    open(opener = document.activeElement) {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.opener = opener;
+
+        // Everything else in <body> stops taking focus and clicks
+        this.inerted = Array.from(document.body.children).filter(el =>
+            el !== this.root && !el.contains(this.root) && !el.hasAttribute('inert') && el.tagName !== 'SCRIPT'
+        );
+        this.inerted.forEach(el => el.setAttribute('inert', ''));
+
+        if (!Dialog.stack.length) {
+            Dialog.bodyOverflow = document.body.style.overflow;
+            document.body.style.overflow = 'hidden';
+        }
+        Dialog.stack.push(this);
+        document.addEventListener('keydown', this.handleKeydown);
+
+        if (this.options.history) {
+            // A dialog closed in the same tick hands its entry over instead
+            // of going back and forward again
+            if (Dialog.pendingBack) {
+                clearTimeout(Dialog.pendingBack);
+                Dialog.pendingBack = null;
+            } else {
+                history.pushState({ ...(history.state || {}), dialog: true }, '');
+            }
+            this.pushed = true;
+        }
+
+        this.focusFirst();
+    }
+
+    /**
+     * options.fromHistory: the history entry is already gone (back button)
+     */
+    close(options = {}) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.inerted.forEach(el => el.removeAttribute('inert'));
+        this.inerted = [];
+
+        Dialog.stack = Dialog.stack.filter(dialog => dialog !== this);
+        if (!Dialog.stack.length) {
+            document.body.style.overflow = Dialog.bodyOverflow || '';
+        }
+
+        // Drop the history entry added on open, unless back already did
+        if (this.pushed && !options.fromHistory) {
+            Dialog.pendingBack = setTimeout(() => {
+                Dialog.pendingBack = null;
+                Dialog.skipPops++;
+                history.back();
+            }, 0);
+        }
+        this.pushed = false;
+
+        if (this.options.onClose) this.options.onClose(options);
+
+        if (this.opener && this.opener.isConnected && typeof this.opener.focus === 'function') {
+            this.opener.focus();
+        }
+        this.opener = null;
+    }
+
+    focusables() {
+        return Array.from(this.panel.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.closest('[hidden], [inert]'));
+    }
+
+    focusFirst() {
+        const preferred = this.panel.querySelector('[autofocus], [data-dialog-focus]');
+        (preferred || this.panel).focus();
+    }
+
+    onKeydown(e) {
+        // Only the topmost dialog reacts
+        if (Dialog.stack[Dialog.stack.length - 1] !== this) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const items = this.focusables();
+        if (!items.length) {
+            e.preventDefault();
+            this.panel.focus();
+            return;
+        }
+
+        const first = items[0];
+        const last = items[items.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.panel)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!this.panel.contains(active)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+Dialog.stack = [];
+Dialog.skipPops = 0;
+Dialog.pendingBack = null;
+Dialog.bodyOverflow = '';
+
+// Back button: close the topmost dialog instead of leaving the page
+window.addEventListener('popstate', () => {
+    if (Dialog.skipPops) {
+        Dialog.skipPops--;
+        return;
+    }
+    const top = Dialog.stack[Dialog.stack.length - 1];
+    if (top && top.pushed) {
+        top.close({ fromHistory: true });
+    }
+});
+
+window.Dialog = Dialog;
@@ -0,0 +1,223 @@
+/**
+ * ===== GST =====
+ * Goods and Services Tax on an order, for the cart totals, the WhatsApp
+ * message and invoices.
+ *
+ * Every catalog product carries an HSN code (SAC for the coaching programs)
+ * and a GST rate; bundles take the highest rate of their parts (catalog.js).
+ * siteConfig.gst says whether catalog prices include GST, the shop's GSTIN
+ * and its state.
+ *
+ * How an order is taxed:
+ * - Promotion discounts are shared out over the lines they apply to (the
+ *   rule's category, else every line) in proportion to the line amounts.
+ * - Delivery is taxed at the highest rate in the order, following the
+ *   principal supply.
+ * - With tax-inclusive prices the taxable value is price × 100 / (100 + rate);
+ *   otherwise GST is added on top.
+ * - Within the shop's state the tax is split equally into CGST and SGST
+ *   (UTGST in a union territory without a legislature); to another state it
+ *   is IGST. Until both states are known it is shown as one GST amount.
+ * - Amounts are rounded to the paisa per HSN and rate, and the order total to
+ *   the nearest rupee with a "Round off" line.
+ *
+ * API (window.gst):
+ *   states                        [{ code, name }] GST state codes
+ *   stateName(code)
+ *   rateFor(id)                   { hsn, rate } of a catalog product
+ *   supplyType(customerState)     "intra", "inter", or null when unknown
+ *   calculate(items, pricing, customerState, options)
+ *                                 breakdown of the priced cart (promotions.js):
+ *                                 { inclusive, supply, placeOfSupply, summary,
+ *                                 taxable, cgst, sgst, igst, tax, roundOff,
+ *                                 total }; options.inclusive overrides the
+ *                                 configuration
+ *   splitRows(tax)                [{ label, amount }]: CGST and SGST, IGST, or GST
+ *   describe(tax)                 the same as text, e.g. "CGST ₹171.46 + SGST ₹171.46"
+ *   priceNote()                   "Inclusive of all taxes" or "Plus GST"
+ */
+
+window.gst = {
+    states: [
+        { code: '01', name: 'Jammu and Kashmir' },
+        { code: '02', name: 'Himachal Pradesh' },
+        { code: '03', name: 'Punjab' },
+        { code: '04', name: 'Chandigarh' },
+        { code: '05', name: 'Uttarakhand' },
+        { code: '06', name: 'Haryana' },
+        { code: '07', name: 'Delhi' },
+        { code: '08', name: 'Rajasthan' },
+        { code: '09', name: 'Uttar Pradesh' },
+        { code: '10', name: 'Bihar' },
+        { code: '11', name: 'Sikkim' },
+        { code: '12', name: 'Arunachal Pradesh' },
+        { code: '13', name: 'Nagaland' },
+        { code: '14', name: 'Manipur' },
+        { code: '15', name: 'Mizoram' },
+        { code: '16', name: 'Tripura' },
+        { code: '17', name: 'Meghalaya' },
+        { code: '18', name: 'Assam' },
+        { code: '19', name: 'West Bengal' },
+        { code: '20', name: 'Jharkhand' },
+        { code: '21', name: 'Odisha' },
+        { code: '22', name: 'Chhattisgarh' },
+        { code: '23', name: 'Madhya Pradesh' },
+        { code: '24', name: 'Gujarat' },
+        { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+        { code: '27', name: 'Maharashtra' },
+        { code: '29', name: 'Karnataka' },
+        { code: '30', name: 'Goa' },
+        { code: '31', name: 'Lakshadweep' },
+        { code: '32', name: 'Kerala' },
+        { code: '33', name: 'Tamil Nadu' },
+        { code: '34', name: 'Puducherry' },
+        { code: '35', name: 'Andaman and Nicobar Islands' },
+        { code: '36', name: 'Telangana' },
+        { code: '37', name: 'Andhra Pradesh' },
+        { code: '38', name: 'Ladakh' }
+    ],
+
+    // Union territories where UTGST replaces SGST
+    utgstStates: ['04', '26', '31', '35', '38'],
+
+    config: function() {
+        return window.siteConfig.gst;
+    },
+
+    stateName: function(code) {
+        const state = this.states.find(s => s.code === code);
+        return state ? state.name : '';
+    },
+
+    rateFor: function(id) {
+        const product = window.catalog ? window.catalog.get(id) : null;
+        const config = this.config();
+        return {
+            hsn: product && product.hsn ? String(product.hsn) : '',
+            rate: product && product.gstRate !== undefined ? Number(product.gstRate) : config.defaultRate
+        };
+    },
+
+    supplyType: function(customerState) {
+        const shopState = this.config().stateCode;
+        if (!shopState || !customerState) return null;
+        return shopState === customerState ? 'intra' : 'inter';
+    },
+
+    round: function(amount) {
+        return Math.round(amount * 100) / 100;
+    },
+
+    // Share an amount over weights, in paise, so the parts add up exactly
+    share: function(amount, weights) {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        const paise = Math.round(amount * 100);
+        let given = 0;
+        return weights.map((w, i) => {
+            const part = i === weights.length - 1 ? paise - given : Math.round(paise * w / (total || 1));
+            given += part;
+            return part / 100;
+        });
+    },
+
+    calculate: function(items, pricing, customerState, options = {}) {
+        const config = this.config();
+        const inclusive = options.inclusive !== undefined ? options.inclusive : config.pricesIncludeTax;
+        const supply = this.supplyType(customerState);
+
+        // Order items keep the HSN code and rate they were sold with
+        const lines = items.map(item => {
+            const product = window.catalog ? window.catalog.get(item.id) : null;
+            return {
+                ...(item.gstRate !== undefined ? { hsn: item.hsn || '', rate: Number(item.gstRate) } : this.rateFor(item.id)),
+                category: product ? product.category : null,
+                amount: item.price * item.qty
+            };
+        });
+
+        // Promotion discounts reduce the taxable value of the lines they came from
+        const rules = window.promotions ? window.promotions.rules : [];
+        (pricing.discounts || []).forEach(discount => {
+            const rule = rules.find(r => r.id === discount.id);
+            let targets = lines.filter(line => rule && rule.category && line.category === rule.category);
+            if (!targets.length) targets = lines;
+            this.share(discount.amount, targets.map(line => line.amount)).forEach((part, i) => {
+                targets[i].amount -= part;
+            });
+        });
+
+        if (pricing.shipping) {
+            const principal = lines.reduce((top, line) => (line.rate > top.rate ? line : top), lines[0] || this.rateFor(null));
+            lines.push({ hsn: principal.hsn, rate: principal.rate, amount: pricing.shipping, shipping: true });
+        }
+
+        // One summary row per HSN code and rate
+        const groups = new Map();
+        lines.forEach(line => {
+            const key = `${line.hsn}|${line.rate}`;
+            if (!groups.has(key)) groups.set(key, { hsn: line.hsn, rate: line.rate, amount: 0 });
+            groups.get(key).amount += line.amount;
+        });
+
+        const summary = Array.from(groups.values()).map(group => {
+            const amount = this.round(group.amount);
+            const taxable = inclusive ? this.round(amount * 100 / (100 + group.rate)) : amount;
+            const tax = inclusive ? this.round(amount - taxable) : this.round(taxable * group.rate / 100);
+            const half = this.round(tax / 2);
+            return {
+                hsn: group.hsn,
+                rate: group.rate,
+                taxable,
+                cgst: supply === 'intra' ? half : 0,
+                sgst: supply === 'intra' ? this.round(tax - half) : 0,
+                igst: supply === 'inter' ? tax : 0,
+                tax
+            };
+        });
+
+        const sum = (key) => this.round(summary.reduce((total, row) => total + row[key], 0));
+        const taxable = sum('taxable');
+        const tax = sum('tax');
+        const exact = this.round(taxable + tax);
+        const total = Math.round(exact);
+
+        return {
+            inclusive,
+            supply,
+            placeOfSupply: this.stateName(customerState),
+            splitLabel: this.utgstStates.includes(config.stateCode) ? 'UTGST' : 'SGST',
+            summary,
+            taxable,
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            tax,
+            roundOff: this.round(total - exact),
+            total
+        };
+    },
+
+    splitRows: function(tax) {
+        const rates = [...new Set(tax.summary.map(row => row.rate))];
+        // A rate in the label only when the whole order has one
+        const at = (rate) => (rates.length === 1 ? ` @${rate}%` : '');
+        if (tax.supply === 'intra') {
+            return [
+                { label: `CGST${at(rates[0] / 2)}`, amount: tax.cgst },
+                { label: `${tax.splitLabel}${at(rates[0] / 2)}`, amount: tax.sgst }
+            ];
+        }
+        if (tax.supply === 'inter') {
+            return [{ label: `IGST${at(rates[0])}`, amount: tax.igst }];
+        }
+        return [{ label: `GST${at(rates[0])}`, amount: tax.tax }];
+    },
+
+    describe: function(tax) {
+        return this.splitRows(tax).map(row => `${row.label.replace(/ @.*/, '')} ${formatRupee(row.amount)}`).join(' + ');
+    },
+
+    priceNote: function() {
+        return this.config().pricesIncludeTax ? 'Inclusive of all taxes' : 'Plus GST';
+    }
+};
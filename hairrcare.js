@@ -0,0 +1,177 @@
+/**
+ * ===== HAIRCARE SHOP =====
+ * Adds quantity pickers and Add to Cart buttons to the catalog-rendered
+ * haircare product boxes and combo boxes on hairrcareindex.html, and wires
+ * the "Shop All Combos" button. Everything goes through window.cart, so the
+ * badge, cart modal and #haircare-toast feedback come from the shared cart UI.
+ * Quantities are capped at the units still in stock (inventory.js), and the
+ * stock badges and "Notify me" buttons come from window.stockUI.
+ */
+
+class HaircareShop {
+    constructor(root = document) {
+        this.root = root;
+        this.maxQty = 10;
+    }
+
+    /**
+     * Decorate the rendered boxes and bind the page controls
+     */
+    init() {
+        const boxes = this.root.querySelectorAll('.product-box[data-product-id], .combo-box[data-product-id]');
+        boxes.forEach(box => this.addControls(box));
+        window.stockUI.decorate(this.root);
+
+        // What is left to add shrinks as the cart fills up
+        window.cart.subscribe(() => boxes.forEach(box => this.setQty(box, this.getQty(box))));
+
+        this.root.querySelectorAll('.products-grid, .combo-grid').forEach(grid => {
+            grid.addEventListener('click', (e) => this.handleClick(e));
+            grid.addEventListener('change', (e) => {
+                const box = e.target.closest('[data-product-id]');
+                if (box && e.target.matches('.haircare-qty input')) this.setQty(box, this.getQty(box));
+            });
+        });
+
+        const ctaBtn = this.root.querySelector('.combo-cta-btn');
+        if (ctaBtn) {
+            ctaBtn.addEventListener('click', () => this.shopAllCombos());
+        }
+
+        console.log(`✅ Haircare shop ready: ${boxes.length} products`);
+    }
+
+    /**
+     * Append the quantity picker and Add to Cart button to one box
+     */
+    addControls(box) {
+        if (box.querySelector('.haircare-actions')) return;
+
+        const product = window.catalog.get(box.dataset.productId);
+        if (!product) return;
+
+        const info = box.querySelector('.product-info-right, .combo-info-right') || box;
+        info.insertAdjacentHTML('beforeend', `
+            <div class="haircare-actions">
+                <div class="haircare-qty">
+                    <button type="button" data-qty-step="-1" aria-label="Decrease quantity">−</button>
+                    <input type="number" min="1" max="${this.maxFor(box)}" value="1" aria-label="Quantity of ${escapeHtml(product.name)}">
+                    <button type="button" data-qty-step="1" aria-label="Increase quantity">+</button>
+                </div>
+                <button type="button" class="haircare-btn haircare-btn-primary" data-id="${escapeHtml(product.id)}" data-add-to-cart>Add to Cart</button>
+            </div>
+        `);
+    }
+
+    handleClick(e) {
+        const box = e.target.closest('[data-product-id]');
+        if (!box) return;
+
+        const stepBtn = e.target.closest('[data-qty-step]');
+        if (stepBtn) {
+            this.setQty(box, this.getQty(box) + Number(stepBtn.dataset.qtyStep));
+            return;
+        }
+
+        const addBtn = e.target.closest('[data-add-to-cart]');
+        if (addBtn) {
+            this.addToCart(box, addBtn);
+        }
+    }
+
+    /**
+     * Largest quantity the picker offers: maxQty, or fewer when that many
+     * are not left in stock (never below 1, the button shows sold out)
+     */
+    maxFor(box) {
+        return Math.max(1, Math.min(this.maxQty, window.inventory.remaining(box.dataset.productId)));
+    }
+
+    /**
+     * Current quantity of a box, clamped to 1..maxFor(box)
+     */
+    getQty(box) {
+        const input = box.querySelector('.haircare-qty input');
+        const qty = parseInt(input ? input.value : '1', 10);
+        return Math.min(this.maxFor(box), Math.max(1, qty || 1));
+    }
+
+    setQty(box, qty) {
+        const input = box.querySelector('.haircare-qty input');
+        if (input) {
+            input.max = this.maxFor(box);
+            input.value = Math.min(this.maxFor(box), Math.max(1, qty));
+        }
+    }
+
+    addToCart(box, button) {
+        const id = box.dataset.productId;
+        const qty = this.getQty(box);
+
+        try {
+            window.cart.add(id, qty);
+            this.setQty(box, 1);
+
+            button.textContent = 'Added!';
+            button.disabled = true;
+            button.dataset.busy = 'true';
+            setTimeout(() => {
+                button.textContent = 'Add to Cart';
+                button.disabled = false;
+                delete button.dataset.busy;
+                window.stockUI.update(button);
+            }, 1500);
+        } catch (error) {
+            console.error('❌ Haircare add to cart failed:', error);
+            // cart.js explains stock shortfalls itself ("Only 2 more of ...")
+            window.cartUI.showToast(window.inventory.remaining(id) < qty
+                ? error.message
+                : 'Could not add this product. Please try again.');
+        }
+    }
+
+    /**
+     * Add every haircare combo (with its chosen quantity) and open the cart.
+     * Combos that are sold out are skipped and the rest are added as far as
+     * the stock goes; the toast lists what was not added in full.
+     */
+    shopAllCombos() {
+        const comboBoxes = this.root.querySelectorAll('.combo-box[data-product-id]');
+        if (!comboBoxes.length) return;
+
+        const changes = [];
+        comboBoxes.forEach(box => {
+            const id = box.dataset.productId;
+            const input = box.querySelector('.haircare-qty input');
+            const qty = Math.min(this.maxQty, Math.max(1, parseInt(input ? input.value : '1', 10) || 1));
+            let allowed = Math.min(qty, window.inventory.remaining(id));
+
+            if (allowed > 0) {
+                try {
+                    window.cart.add(id, allowed);
+                } catch (error) {
+                    console.error('❌ Haircare combo not added:', error);
+                    allowed = 0;
+                }
+            }
+            if (allowed < qty) {
+                changes.push({ id, name: window.catalog.get(id).name, qty, allowed });
+            }
+            this.setQty(box, 1);
+        });
+
+        window.cartUI.openModal();
+        window.stockUI.reportChanges(changes, true);
+    }
+}
+
+// hairrcare.js loads before the shared scripts, so wait for the page and
+// for the catalog boxes to be rendered
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.querySelector('.products-grid, .combo-grid') || !window.catalogRendered) return;
+
+    window.catalogRendered.then(() => {
+        window.haircareShop = new HaircareShop();
+        window.haircareShop.init();
+    });
+});
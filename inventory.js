@@ -0,0 +1,183 @@
+/**
+ * ===== INVENTORY =====
+ * Stock levels from the catalog ("stock" on each product, units on hand) and
+ * "notify me" sign-ups for products that are out of stock.
+ *
+ * Products without a stock figure (the coaching programs) are never out of
+ * stock. A bundle is available as often as its scarcest part. Stock is
+ * shared: units already in the cart, on their own or inside a bundle, are
+ * not available again, so cart.js refuses to add more than remain.
+ *
+ * Notify-me sign-ups are kept in localStorage under "stock-alerts" as
+ * { productId, email, createdAt, synced }. With an endpoint configured
+ * (siteConfig.stockAlertsEndpoint) each one is also POSTed there as JSON, the
+ * same way as newsletter sign-ups (newsletter.js). Sign-ups that were not
+ * delivered are sent again by flushAlerts() and when the same address signs
+ * up again.
+ *
+ * API (window.inventory):
+ *   stock(id)                  units on hand (Infinity when not tracked)
+ *   status(id)                 "in-stock", "low" (lowStock or fewer) or "out"
+ *   label(id)                  "Only 3 left", "Out of stock" or ''
+ *   remaining(id, items)       units that can still be added to the cart items
+ *                              (default: window.cart)
+ *   validate(items)            [{ id, name, qty, allowed }] for every line
+ *                              asking for more than is in stock
+ *   revalidateCart()           bring window.cart within stock; returns the
+ *                              changes made, as validate()
+ *   notify(id, email)          promise of { status, alert } where status is
+ *                              "added" (delivered), "queued" (no endpoint,
+ *                              kept locally), "failed" (the endpoint did not
+ *                              take it) or "already-added"
+ *   flushAlerts()              resend undelivered sign-ups; promise of the
+ *                              number delivered
+ *   alerts()                   every stored sign-up
+ */
+
+window.inventory = {
+    lowStock: 5,
+    endpoint: window.siteConfig.stockAlertsEndpoint,
+    storageKey: 'stock-alerts',
+
+    stock: function(id) {
+        const product = window.catalog.get(id);
+        if (!product) return 0;
+        if (product.components) {
+            return Math.min(...window.catalog.components(id).map(part => this.stock(part.id)));
+        }
+        return product.stock === undefined ? Infinity : Math.max(0, Number(product.stock) || 0);
+    },
+
+    status: function(id) {
+        const stock = this.stock(id);
+        if (stock <= 0) return 'out';
+        return stock <= this.lowStock ? 'low' : 'in-stock';
+    },
+
+    label: function(id) {
+        const status = this.status(id);
+        if (status === 'out') return 'Out of stock';
+        return status === 'low' ? `Only ${this.stock(id)} left` : '';
+    },
+
+    // Units of each product used by cart lines, bundles counted by their parts
+    used: function(items) {
+        const used = new Map();
+        items.forEach(item => {
+            (item.components || [{ id: item.id, qty: 1 }]).forEach(part => {
+                used.set(part.id, (used.get(part.id) || 0) + part.qty * item.qty);
+            });
+        });
+        return used;
+    },
+
+    // Products the cart knows but the catalog does not (test items) are not limited
+    parts: function(id) {
+        const product = window.catalog.get(id);
+        if (!product) return null;
+        return product.components
+            ? window.catalog.components(id).map(part => ({ id: part.id, qty: 1 }))
+            : [{ id, qty: 1 }];
+    },
+
+    remaining: function(id, items = window.cart.items()) {
+        const parts = this.parts(id);
+        if (!parts) return Infinity;
+        const used = this.used(items);
+        return Math.max(0, Math.min(...parts.map(part =>
+            Math.floor((this.stock(part.id) - (used.get(part.id) || 0)) / part.qty))));
+    },
+
+    // Lines are served in cart order; a later line gets what is left
+    validate: function(items = window.cart.items()) {
+        const used = new Map();
+        const changes = [];
+        items.forEach(item => {
+            const parts = this.parts(item.id);
+            if (!parts) return;
+            const allowed = Math.max(0, Math.min(item.qty, ...parts.map(part =>
+                Math.floor((this.stock(part.id) - (used.get(part.id) || 0)) / part.qty))));
+            parts.forEach(part => used.set(part.id, (used.get(part.id) || 0) + part.qty * allowed));
+            if (allowed < item.qty) {
+                changes.push({ id: item.id, name: item.name, qty: item.qty, allowed });
+            }
+        });
+        return changes;
+    },
+
+    revalidateCart: function() {
+        const changes = this.validate();
+        changes.forEach(change => window.cart.setQty(change.id, change.allowed));
+        return changes;
+    },
+
+    alerts: function() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    saveAlerts: function(list) {
+        localStorage.setItem(this.storageKey, JSON.stringify(list));
+    },
+
+    notify: function(id, email) {
+        const error = window.newsletter.validateEmail(email);
+        if (error) return Promise.reject(new Error(error));
+        if (!window.catalog.get(id)) return Promise.reject(new Error(`Unknown product "${id}"`));
+
+        const value = window.newsletter.normalizeEmail(email);
+        const existing = this.alerts().find(alert => alert.productId === id && alert.email === value);
+        if (existing && existing.synced) {
+            return Promise.resolve({ status: 'already-added', alert: existing });
+        }
+
+        const alert = existing || { productId: id, email: value, createdAt: new Date().toISOString(), synced: false };
+        if (!existing) {
+            this.saveAlerts([...this.alerts(), alert]);
+        }
+
+        if (!this.endpoint) {
+            return Promise.resolve({ status: 'queued', alert });
+        }
+
+        return this.send(alert).then(synced => (synced
+            ? { status: 'added', alert: synced }
+            : { status: 'failed', alert }));
+    },
+
+    // POST one sign-up; resolves with the synced record, or null when it was
+    // not delivered (the local record stays for the next try)
+    send: function(alert) {
+        return fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ productId: alert.productId, email: alert.email, createdAt: alert.createdAt })
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Stock alert request failed with status ${response.status}`);
+                }
+                const synced = { ...alert, synced: true };
+                this.saveAlerts(this.alerts().map(a =>
+                    (a.productId === alert.productId && a.email === alert.email ? synced : a)));
+                return synced;
+            })
+            .catch(error => {
+                console.error('❌ Stock alert not delivered:', error);
+                return null;
+            });
+    },
+
+    flushAlerts: function() {
+        const pending = this.endpoint ? this.alerts().filter(alert => !alert.synced) : [];
+        // One at a time, so each result is saved before the next one is read
+        return pending.reduce(
+            (chain, alert) => chain.then(count => this.send(alert).then(synced => count + (synced ? 1 : 0))),
+            Promise.resolve(0)
+        );
+    }
+};
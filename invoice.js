@@ -0,0 +1,400 @@
+/**
+ * ===== INVOICES =====
+ * Bills for customers: a printable HTML invoice and a PDF download (pdf.js),
+ * both made in the browser from an order snapshot (orders.js). A cart
+ * snapshot without an order id ({ items }) gives an "Estimate" instead.
+ *
+ * Invoices show the HSN code of every line and the GST worked out when the
+ * order was placed (order.tax, see gst.js), with a summary per HSN code and
+ * rate. With siteConfig.gst.gstin set they are titled "Tax Invoice" and
+ * carry the GSTIN. Orders from before GST get a breakdown of their
+ * tax-inclusive prices.
+ *
+ * Invoice numbers look like "SB/2627/MVFKX108": the shop prefix, the Indian
+ * financial year (April to March) of the order date and the order number.
+ * Every browser keeps its own order history, so a running counter would hand
+ * out the same number twice; order numbers are already unique. The number is
+ * stored on the order when it is created and stays within 16 characters.
+ *
+ * API (window.invoice):
+ *   number(order)        invoice number of an order
+ *   data(snapshot)       what the invoice shows: numbers, dates, seller,
+ *                        customer, lines, totals and tax
+ *   html(snapshot)       standalone HTML document with print styles
+ *   print(snapshot)      print it from a hidden frame
+ *   pdf(snapshot)        PdfDocument of the same invoice
+ *   download(snapshot)   save the PDF as "Invoice-SB-2627-MVFKX108.pdf"
+ */
+
+window.invoice = {
+    prefix: 'SB',
+
+    financialYear: function(date) {
+        const d = new Date(date);
+        const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+        const short = (year) => String(year % 100).padStart(2, '0');
+        return short(start) + short(start + 1);
+    },
+
+    number: function(order) {
+        if (order.invoiceNumber) return order.invoiceNumber;
+        return `${this.prefix}/${this.financialYear(order.date)}/${String(order.id).replace(/^SB-/, '')}`;
+    },
+
+    paymentNote: function(payment) {
+        if (!payment) return '';
+        if (payment.method === 'upi' && payment.state !== 'pending') {
+            return `Paid by UPI, UTR ${payment.reference}${payment.state === 'verified' ? '' : ' (awaiting verification)'}`;
+        }
+        return payment.method === 'upi' ? 'Payment due by UPI' : 'Payment due, arranged on WhatsApp';
+    },
+
+    // Orders from before promotions carry no breakdown. They are billed as
+    // stored: today's offers and saved addresses never applied to them
+    storedPricing: function(order) {
+        const subtotal = order.items.reduce((sum, item) => sum + item.price * item.qty, 0);
+        return { subtotal, discounts: [], shipping: 0, total: order.total !== undefined ? order.total : subtotal };
+    },
+
+    data: function(snapshot) {
+        const isOrder = Boolean(snapshot.id);
+        const items = snapshot.items || [];
+        const pricing = snapshot.subtotal !== undefined ? snapshot
+            : isOrder ? this.storedPricing(snapshot)
+            : window.checkout.pricing(items);
+        const config = window.siteConfig;
+        const customerState = snapshot.customer ? snapshot.customer.state : undefined;
+        const tax = snapshot.tax || (isOrder
+            ? window.gst.calculate(items, pricing, customerState, { inclusive: true })
+            : pricing.tax);
+
+        return {
+            title: isOrder ? (config.gst.gstin ? 'Tax Invoice' : 'Invoice') : 'Estimate',
+            number: isOrder ? this.number(snapshot) : null,
+            orderId: snapshot.id || null,
+            date: new Date(snapshot.date || Date.now()).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }),
+            seller: {
+                name: config.storeName,
+                phone: config.phone,
+                email: config.email,
+                url: config.siteUrl,
+                gstin: config.gst.gstin,
+                state: window.gst.stateName(config.gst.stateCode)
+            },
+            customer: snapshot.customer || null,
+            lines: items.map(item => ({
+                name: item.name,
+                hsn: item.gstRate !== undefined ? item.hsn : window.gst.rateFor(item.id).hsn,
+                components: (item.components || []).map(part => `${part.name} × ${part.qty * item.qty}`),
+                qty: item.qty,
+                unitPrice: item.price,
+                amount: item.price * item.qty
+            })),
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts || [],
+            shipping: pricing.shipping || 0,
+            tax,
+            taxRows: [
+                { label: 'Taxable value', amount: tax.taxable },
+                ...window.gst.splitRows(tax),
+                ...(tax.roundOff ? [{ label: 'Round off', amount: tax.roundOff }] : [])
+            ],
+            total: snapshot.total !== undefined ? snapshot.total : pricing.total,
+            payment: this.paymentNote(snapshot.payment)
+        };
+    },
+
+    money: function(amount) {
+        return amount < 0 ? `−${formatRupee(-amount)}` : formatRupee(amount);
+    },
+
+    // Columns of the per-HSN tax summary for the kind of supply
+    taxColumns: function(tax) {
+        if (tax.supply === 'intra') return [['CGST', 'cgst'], [tax.splitLabel, 'sgst']];
+        if (tax.supply === 'inter') return [['IGST', 'igst']];
+        return [['GST', 'tax']];
+    },
+
+    html: function(snapshot) {
+        const d = this.data(snapshot);
+        const rows = d.lines.map((line, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${escapeHtml(line.name)}${line.components.length ? `<small>${line.components.map(escapeHtml).join('<br>')}</small>` : ''}</td>
+                <td>${escapeHtml(line.hsn)}</td>
+                <td class="num">${line.qty}</td>
+                <td class="num">${formatRupee(line.unitPrice)}</td>
+                <td class="num">${formatRupee(line.amount)}</td>
+            </tr>
+        `).join('');
+        const discounts = d.discounts.map(discount => `
+            <tr><td colspan="5">${escapeHtml(discount.label)}</td><td class="num">−${formatRupee(discount.amount)}</td></tr>
+        `).join('');
+        const taxRows = d.taxRows.map(row => `
+            <tr class="${d.tax.inclusive ? 'tax-included' : ''}"><td colspan="5">${row.label}</td><td class="num">${this.money(row.amount)}</td></tr>
+        `).join('');
+        const columns = this.taxColumns(d.tax);
+        const taxSummary = d.tax.summary.map(row => `
+            <tr>
+                <td>${escapeHtml(row.hsn)}</td>
+                <td class="num">${row.rate}%</td>
+                <td class="num">${formatRupee(row.taxable)}</td>
+                ${columns.map(([, key]) => `<td class="num">${formatRupee(row[key])}</td>`).join('')}
+            </tr>
+        `).join('');
+        const customer = d.customer ? `
+            <section class="party">
+                <h2>Bill to</h2>
+                <p><strong>${escapeHtml(d.customer.name)}</strong><br>${escapeHtml(d.customer.phone)}<br>${window.addressBook.format(d.customer).map(escapeHtml).join('<br>')}</p>
+            </section>
+        ` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${d.title}${d.number ? ` ${escapeHtml(d.number)}` : ''} - ${escapeHtml(d.seller.name)}</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; font-size: 14px; margin: 0; padding: 24px; }
+    .invoice { max-width: 780px; margin: 0 auto; }
+    header { display: flex; justify-content: space-between; gap: 24px; border-bottom: 2px solid #1e3a8a; padding-bottom: 16px; }
+    h1 { color: #1e3a8a; font-size: 22px; margin: 0 0 6px; }
+    h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: #666; margin: 0 0 6px; }
+    .meta { text-align: right; }
+    .meta h2 { color: #1e3a8a; font-size: 20px; letter-spacing: 0.1em; }
+    p { margin: 0; line-height: 1.5; }
+    .party { margin: 20px 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+    th { background: #eef2ff; }
+    td small { display: block; color: #666; font-size: 12px; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { border-bottom: none; }
+    tfoot .total td { font-weight: 700; font-size: 16px; color: #1e3a8a; border-top: 2px solid #1e3a8a; }
+    tfoot .tax-included td { color: #666; font-size: 13px; padding-top: 4px; padding-bottom: 4px; }
+    .tax-summary { margin-top: 20px; font-size: 13px; }
+    .note { margin-top: 16px; }
+    footer { margin-top: 32px; color: #666; font-size: 12px; text-align: center; }
+    .print-btn { display: block; margin: 24px auto 0; padding: 10px 24px; background: #1e3a8a; color: #fff; border: 0; border-radius: 6px; cursor: pointer; }
+    @media print {
+        body { padding: 0; }
+        th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        tr { break-inside: avoid; }
+        .print-btn { display: none; }
+    }
+</style>
+</head>
+<body>
+<div class="invoice">
+    <header>
+        <section>
+            <h1>${escapeHtml(d.seller.name)}</h1>
+            <p>${escapeHtml(d.seller.phone)}<br>${escapeHtml(d.seller.email)}${d.seller.url ? `<br>${escapeHtml(d.seller.url)}` : ''}</p>
+            ${d.seller.gstin ? `<p>GSTIN: <strong>${escapeHtml(d.seller.gstin)}</strong>${d.seller.state ? `, ${escapeHtml(d.seller.state)}` : ''}</p>` : ''}
+        </section>
+        <section class="meta">
+            <h2>${d.title}</h2>
+            ${d.number ? `<p>Invoice no. <strong>${escapeHtml(d.number)}</strong></p>` : ''}
+            <p>Date: ${d.date}</p>
+            ${d.orderId ? `<p>Order #${escapeHtml(d.orderId)}</p>` : ''}
+            ${d.tax.placeOfSupply ? `<p>Place of supply: ${escapeHtml(d.tax.placeOfSupply)}</p>` : ''}
+        </section>
+    </header>
+    ${customer}
+    <table>
+        <thead>
+            <tr><th>#</th><th>Item</th><th>HSN</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+            <tr><td colspan="5">Subtotal</td><td class="num">${formatRupee(d.subtotal)}</td></tr>
+            ${discounts}
+            <tr><td colspan="5">Delivery</td><td class="num">${d.shipping ? formatRupee(d.shipping) : 'FREE'}</td></tr>
+            ${d.tax.inclusive ? '<tr class="tax-included"><td colspan="6">Prices include GST:</td></tr>' : ''}
+            ${taxRows}
+            <tr class="total"><td colspan="5">Total</td><td class="num">${formatRupee(d.total)}</td></tr>
+        </tfoot>
+    </table>
+    <table class="tax-summary">
+        <thead>
+            <tr><th>HSN</th><th class="num">GST rate</th><th class="num">Taxable value</th>${columns.map(([label]) => `<th class="num">${label}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${taxSummary}</tbody>
+    </table>
+    ${d.payment ? `<p class="note">${escapeHtml(d.payment)}</p>` : ''}
+    <footer>Thank you for shopping with ${escapeHtml(d.seller.name)}!</footer>
+    <button type="button" class="print-btn" onclick="window.print()">Print</button>
+</div>
+</body>
+</html>`;
+    },
+
+    print: function(snapshot) {
+        const previous = document.getElementById('invoice-print-frame');
+        if (previous) previous.remove();
+
+        const frame = document.createElement('iframe');
+        frame.id = 'invoice-print-frame';
+        frame.title = 'Invoice';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.addEventListener('load', () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        });
+        frame.srcdoc = this.html(snapshot);
+        document.body.appendChild(frame);
+        return frame;
+    },
+
+    pdf: function(snapshot) {
+        const d = this.data(snapshot);
+        const doc = new window.PdfDocument();
+        const blue = [0.118, 0.227, 0.541];
+        const grey = [0.4, 0.4, 0.4];
+        const left = 40;
+        const right = doc.width - 40;
+        const cols = { index: left + 4, item: left + 26, hsn: 300, qty: 370, unit: 460, amount: right - 4 };
+        const pageBottom = doc.height - 60;
+        let y = 50;
+
+        doc.text(left, y, d.seller.name, { size: 18, bold: true, color: blue });
+        doc.text(right, y, d.title.toUpperCase(), { size: 16, bold: true, color: blue, align: 'right' });
+        y += 18;
+        [
+            d.seller.phone,
+            d.seller.email,
+            d.seller.url,
+            d.seller.gstin && `GSTIN: ${d.seller.gstin}${d.seller.state ? `, ${d.seller.state}` : ''}`
+        ].filter(Boolean).forEach((line, i) => {
+            doc.text(left, y + i * 13, line, { color: grey });
+        });
+        [
+            d.number && `Invoice no. ${d.number}`,
+            `Date: ${d.date}`,
+            d.orderId && `Order #${d.orderId}`,
+            d.tax.placeOfSupply && `Place of supply: ${d.tax.placeOfSupply}`
+        ].filter(Boolean).forEach((line, i) => {
+            doc.text(right, y + i * 13, line, { align: 'right' });
+        });
+        y += 59;
+        doc.line(left, y, right, y, { width: 1.5, color: blue });
+        y += 24;
+
+        if (d.customer) {
+            doc.text(left, y, 'BILL TO', { size: 9, bold: true, color: grey });
+            y += 15;
+            doc.text(left, y, d.customer.name, { bold: true });
+            y += 13;
+            [d.customer.phone, ...window.addressBook.format(d.customer).flatMap(line => doc.wrap(line, 300))].forEach(line => {
+                doc.text(left, y, line);
+                y += 13;
+            });
+            y += 12;
+        }
+
+        const tableHeader = () => {
+            doc.rect(left, y - 13, right - left, 20, [0.933, 0.949, 1]);
+            doc.text(cols.index, y, '#', { bold: true });
+            doc.text(cols.item, y, 'Item', { bold: true });
+            doc.text(cols.hsn, y, 'HSN', { bold: true });
+            doc.text(cols.qty, y, 'Qty', { bold: true, align: 'right' });
+            doc.text(cols.unit, y, 'Unit price', { bold: true, align: 'right' });
+            doc.text(cols.amount, y, 'Amount', { bold: true, align: 'right' });
+            y += 20;
+        };
+        tableHeader();
+
+        d.lines.forEach((line, i) => {
+            const nameLines = doc.wrap(line.name, cols.hsn - cols.item - 10);
+            const height = nameLines.length * 13 + line.components.length * 11 + 8;
+            if (y + height > pageBottom) {
+                doc.addPage();
+                y = 50;
+                tableHeader();
+            }
+            doc.text(cols.index, y, String(i + 1));
+            doc.text(cols.hsn, y, line.hsn);
+            doc.text(cols.qty, y, String(line.qty), { align: 'right' });
+            doc.text(cols.unit, y, formatRupee(line.unitPrice), { align: 'right' });
+            doc.text(cols.amount, y, formatRupee(line.amount), { align: 'right' });
+            nameLines.forEach((text, j) => doc.text(cols.item, y + j * 13, text));
+            let rowY = y + (nameLines.length - 1) * 13;
+            line.components.forEach(part => {
+                rowY += 11;
+                doc.text(cols.item + 8, rowY, part, { size: 8, color: grey });
+            });
+            y = rowY + 8;
+            doc.line(left, y - 2, right, y - 2, { color: [0.85, 0.85, 0.85] });
+            y += 12;
+        });
+
+        const totals = [
+            ['Subtotal', formatRupee(d.subtotal)],
+            ...d.discounts.map(discount => [discount.label, `−${formatRupee(discount.amount)}`]),
+            ['Delivery', d.shipping ? formatRupee(d.shipping) : 'FREE']
+        ];
+        const taxRows = d.taxRows.map(row => [row.label, this.money(row.amount)]);
+        const columns = this.taxColumns(d.tax);
+        if (y + (totals.length + taxRows.length + d.tax.summary.length) * 16 + 100 > pageBottom) {
+            doc.addPage();
+            y = 50;
+        }
+        totals.forEach(([label, value]) => {
+            doc.text(cols.unit, y, label, { align: 'right' });
+            doc.text(cols.amount, y, value, { align: 'right' });
+            y += 16;
+        });
+        // Included tax is a breakdown of the amounts above, so it is greyed out
+        const taxStyle = d.tax.inclusive ? { size: 9, color: grey } : {};
+        if (d.tax.inclusive) {
+            doc.text(cols.unit, y, 'Prices include GST:', { ...taxStyle, align: 'right' });
+            y += 14;
+        }
+        taxRows.forEach(([label, value]) => {
+            doc.text(cols.unit, y, label, { ...taxStyle, align: 'right' });
+            doc.text(cols.amount, y, value, { ...taxStyle, align: 'right' });
+            y += d.tax.inclusive ? 14 : 16;
+        });
+        doc.line(cols.unit - 120, y - 8, right, y - 8, { width: 1.5, color: blue });
+        y += 6;
+        doc.text(cols.unit, y, 'Total', { size: 12, bold: true, color: blue, align: 'right' });
+        doc.text(cols.amount, y, formatRupee(d.total), { size: 12, bold: true, color: blue, align: 'right' });
+        y += 28;
+
+        d.tax.summary.forEach(row => {
+            const parts = columns.map(([label, key]) => `${label} ${formatRupee(row[key])}`);
+            doc.text(left, y, `HSN ${row.hsn} @ ${row.rate}%: taxable value ${formatRupee(row.taxable)}, ${parts.join(', ')}`,
+                { size: 8, color: grey });
+            y += 12;
+        });
+        y += 8;
+
+        if (d.payment) {
+            doc.text(left, y, d.payment);
+            y += 20;
+        }
+        if (y > doc.height - 60) doc.addPage();
+        doc.text(doc.width / 2, doc.height - 40, `Thank you for shopping with ${d.seller.name}!`,
+            { size: 9, color: grey, align: 'center' });
+        return doc;
+    },
+
+    download: function(snapshot) {
+        const d = this.data(snapshot);
+        const name = d.number ? `Invoice-${d.number.replace(/\//g, '-')}` : `Estimate-${new Date().toISOString().slice(0, 10)}`;
+        const url = URL.createObjectURL(this.pdf(snapshot).toBlob());
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
@@ -0,0 +1,163 @@
+/**
+ * ===== NEWSLETTER =====
+ * Subscriber store behind #newsletter-form.
+ *
+ * Subscribers are kept in localStorage under "newsletter-subscribers" as
+ * { email, status, consentAt, confirmedAt, source, token, synced }.
+ * Sign-ups use double opt-in: a new address is "pending" until the link in
+ * the confirmation email (index.html?newsletter-confirm=<token>) is opened,
+ * which makes it "confirmed".
+ *
+ * When an endpoint is configured (window.newsletter.endpoint, or the form's
+ * data-endpoint attribute) each sign-up is also POSTed there as JSON and the
+ * server sends the confirmation email. dev/mock-server.js implements the
+ * endpoint for local development. Without an endpoint sign-ups stay local
+ * and no email is sent: the shop owner exports them (downloadCsv) instead.
+ * A sign-up that was not delivered is sent again when the same address is
+ * entered again.
+ *
+ * API (window.newsletter):
+ *   validateEmail(email)       error message, or '' when valid
+ *   subscribe(email, source)   promise of { status, subscriber } where status is
+ *                              "pending" (confirmation email on its way),
+ *                              "queued" (no endpoint, kept locally), "failed"
+ *                              (the endpoint did not take it), "already-pending"
+ *                              or "already-subscribed"
+ *   confirm(token)             promise of the confirmed subscriber (or null)
+ *   subscribers()              every stored subscriber
+ *   exportCsv() / downloadCsv()  subscriber list for the shop owner
+ */
+
+window.newsletter = {
+    endpoint: null,
+    storageKey: 'newsletter-subscribers',
+
+    normalizeEmail: function(email) {
+        return String(email || '').trim().toLowerCase();
+    },
+
+    validateEmail: function(email) {
+        const value = this.normalizeEmail(email);
+        if (!value) return 'Please enter your email address';
+        if (!/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(value)) return 'Please enter a valid email address';
+        return '';
+    },
+
+    subscribers: function() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    saveSubscribers: function(list) {
+        localStorage.setItem(this.storageKey, JSON.stringify(list));
+    },
+
+    find: function(email) {
+        const value = this.normalizeEmail(email);
+        return this.subscribers().find(s => s.email === value) || null;
+    },
+
+    update: function(email, changes) {
+        const list = this.subscribers().map(s => s.email === email ? { ...s, ...changes } : s);
+        this.saveSubscribers(list);
+        return list.find(s => s.email === email);
+    },
+
+    createToken: function() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    },
+
+    subscribe: function(email, source = window.location.pathname) {
+        const error = this.validateEmail(email);
+        if (error) return Promise.reject(new Error(error));
+
+        const value = this.normalizeEmail(email);
+        const existing = this.find(value);
+        if (existing && existing.status === 'confirmed') {
+            return Promise.resolve({ status: 'already-subscribed', subscriber: existing });
+        }
+        if (existing && existing.synced) {
+            return Promise.resolve({ status: 'already-pending', subscriber: existing });
+        }
+
+        const subscriber = existing || {
+            email: value,
+            status: 'pending',
+            consentAt: new Date().toISOString(),
+            confirmedAt: null,
+            source,
+            token: this.createToken(),
+            synced: false
+        };
+        if (!existing) {
+            this.saveSubscribers([...this.subscribers(), subscriber]);
+        }
+
+        if (!this.endpoint) {
+            return Promise.resolve({ status: 'queued', subscriber });
+        }
+
+        return fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: value, consentAt: subscriber.consentAt, source: subscriber.source, token: subscriber.token })
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Newsletter request failed with status ${response.status}`);
+                }
+                return { status: 'pending', subscriber: this.update(value, { synced: true }) };
+            })
+            .catch(error => {
+                // Keep the local record so the address can be sent again later
+                console.error('❌ Newsletter sign-up not delivered:', error);
+                return { status: 'failed', subscriber };
+            });
+    },
+
+    confirm: function(token) {
+        const subscriber = this.subscribers().find(s => s.token === token);
+        const confirmRemote = this.endpoint
+            ? fetch(`${this.endpoint}/confirm`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            }).then(response => response.ok)
+            : Promise.resolve(Boolean(subscriber));
+
+        return confirmRemote.then(ok => {
+            if (!ok) return null;
+            if (!subscriber) return { token, status: 'confirmed' };
+            return this.update(subscriber.email, { status: 'confirmed', confirmedAt: new Date().toISOString() });
+        });
+    },
+
+    exportCsv: function() {
+        const columns = ['email', 'status', 'consentAt', 'confirmedAt', 'source'];
+        const escape = (value) => {
+            const text = value == null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...this.subscribers().map(s => columns.map(column => escape(s[column])).join(','))
+        ].join('\n');
+    },
+
+    downloadCsv: function(filename = 'newsletter-subscribers.csv') {
+        const blob = new Blob([this.exportCsv()], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+};
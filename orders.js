@@ -0,0 +1,154 @@
+/**
+ * ===== ORDER HISTORY =====
+ * Every order sent through checkout is kept in IndexedDB (database
+ * "shahida-beauty", store "orders", keyed by order id) so returning
+ * customers can see and repeat past orders on orders.html.
+ *
+ * Orders saved by earlier versions in localStorage under "orders" are moved
+ * into IndexedDB the first time the store is opened.
+ *
+ * API (window.orderHistory), all returning promises:
+ *   save(order)                 insert or replace an order snapshot
+ *   all()                       every order, newest first
+ *   get(id)                     one order, or null
+ *   updateStatus(id, status)    change an order's status
+ *   reorder(id)                 put the order's items back into window.cart, as
+ *                               many as are in stock; resolves with
+ *                               [{ id, name, qty, allowed }] for every line not
+ *                               added in full (allowed 0: no longer sold or
+ *                               out of stock)
+ *   subscribe(listener)         listener(order) after every save; returns an
+ *                               unsubscribe function
+ */
+
+class OrderHistory {
+    constructor(dbName = 'shahida-beauty', legacyKey = 'orders') {
+        this.dbName = dbName;
+        this.storeName = 'orders';
+        this.legacyKey = legacyKey;
+        this.db = null;
+        this.listeners = new Set();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(order) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(order);
+            } catch (error) {
+                console.error('Order history listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Open (and on first use create) the database, then migrate old orders
+     */
+    open() {
+        if (this.db) return this.db;
+
+        this.db = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                store.createIndex('date', 'date');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(db => this.migrate(db));
+
+        return this.db;
+    }
+
+    /**
+     * Run one request against the store inside a transaction
+     */
+    run(mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    /**
+     * Copy orders from the old localStorage list and drop the key
+     */
+    migrate(db) {
+        let legacy = [];
+        try {
+            legacy = JSON.parse(localStorage.getItem(this.legacyKey) || '[]');
+        } catch (e) {
+            console.error('❌ Could not read old orders for migration:', e);
+        }
+        if (!Array.isArray(legacy) || !legacy.length) return db;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+            legacy.filter(order => order && order.id).forEach(order => store.put(order));
+            tx.oncomplete = () => {
+                localStorage.removeItem(this.legacyKey);
+                console.log(`✅ Migrated ${legacy.length} orders to IndexedDB`);
+                resolve(db);
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    save(order) {
+        return this.run('readwrite', store => store.put(order)).then(() => {
+            this.emit(order);
+            return order;
+        });
+    }
+
+    all() {
+        return this.run('readonly', store => store.getAll())
+            .then(orders => orders.sort((a, b) => b.date.localeCompare(a.date)));
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id)).then(order => order || null);
+    }
+
+    updateStatus(id, status) {
+        return this.get(id).then(order => {
+            if (!order) throw new Error(`Order "${id}" not found`);
+            return this.save({ ...order, status });
+        });
+    }
+
+    reorder(id) {
+        return this.get(id).then(order => {
+            if (!order) throw new Error(`Order "${id}" not found`);
+
+            // Current catalog prices apply; discontinued and sold out
+            // products are skipped
+            const changes = [];
+            order.items.forEach(item => {
+                const allowed = window.catalog.get(item.id) ? Math.min(item.qty, window.inventory.remaining(item.id)) : 0;
+                if (allowed > 0) {
+                    window.cart.add(item.id, allowed);
+                }
+                if (allowed < item.qty) {
+                    changes.push({ id: item.id, name: item.name, qty: item.qty, allowed });
+                }
+            });
+            return changes;
+        });
+    }
+}
+
+window.orderHistory = new OrderHistory();
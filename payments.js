@@ -0,0 +1,127 @@
+/**
+ * ===== UPI PAYMENTS =====
+ * Pay-now option at checkout: a upi://pay link and an on-page QR code
+ * (qrcode.js) for the order total, then the customer enters the UTR (the
+ * 12-digit UPI reference number) from their UPI app.
+ *
+ * Every order carries payment: { method ("upi" or "later"), state, amount,
+ * reference, claimedAt, verifiedAt }. The state is
+ *   pending    nothing paid yet (or "later": settled over WhatsApp)
+ *   claimed    the customer entered a UTR; the owner still has to check it
+ *              against the bank statement
+ *   verified   the owner has seen the money arrive
+ * Orders live in this browser (orders.js), so the owner updates the state
+ * from the console, e.g. upi.setState('SB-LZ3K9A', 'verified').
+ *
+ * UPI is only offered when siteConfig.upiId is set.
+ *
+ * API (window.upi):
+ *   enabled()                     UPI payee configured
+ *   newPayment(method, amount)    payment object for a new order
+ *   intentUrl(order)              upi://pay link for the order total
+ *   qrSvg(order)                  QR code of that link, as SVG markup
+ *   validateReference(reference)  error message, or '' for a valid UTR
+ *   claim(order, reference)       copy of the order marked "claimed"; throws
+ *                                 for an invalid UTR. The caller saves it.
+ *   setState(orderId, state)      promise of the updated saved order
+ *   describe(payment)             one line for the WhatsApp message
+ */
+
+window.upi = {
+    states: ['pending', 'claimed', 'verified'],
+    stateLabels: {
+        pending: 'Payment pending',
+        claimed: 'Paid, awaiting verification',
+        verified: 'Payment verified'
+    },
+
+    enabled: function() {
+        return Boolean(window.siteConfig.upiId);
+    },
+
+    newPayment: function(method, amount) {
+        return {
+            method: method === 'upi' ? 'upi' : 'later',
+            state: 'pending',
+            amount,
+            reference: null,
+            claimedAt: null,
+            verifiedAt: null
+        };
+    },
+
+    intentUrl: function(order) {
+        const config = window.siteConfig;
+        // No "tr" parameter: UPI apps refuse merchant references when paying
+        // a personal UPI ID, so the order number goes in the note instead.
+        // The "@" of the UPI ID stays as it is; not every app decodes %40.
+        const params = {
+            pa: config.upiId,
+            pn: config.upiName || config.storeName,
+            am: Number(order.payment ? order.payment.amount : order.total).toFixed(2),
+            cu: 'INR',
+            tn: `Order ${order.id}`
+        };
+        return 'upi://pay?' + Object.keys(params)
+            .map(key => `${key}=${encodeURIComponent(params[key]).replace(/%40/g, '@')}`)
+            .join('&');
+    },
+
+    qrSvg: function(order) {
+        return window.QRCode.toSvg(this.intentUrl(order), {
+            ecl: 'M',
+            label: `UPI QR code to pay ${formatRupee(order.payment.amount)} for order ${order.id}`
+        });
+    },
+
+    normalizeReference: function(reference) {
+        return String(reference || '').replace(/[\s-]/g, '');
+    },
+
+    validateReference: function(reference) {
+        return /^\d{12}$/.test(this.normalizeReference(reference))
+            ? ''
+            : 'Please enter the 12-digit UTR / UPI reference number';
+    },
+
+    claim: function(order, reference) {
+        const error = this.validateReference(reference);
+        if (error) throw new Error(error);
+
+        return {
+            ...order,
+            payment: {
+                ...order.payment,
+                method: 'upi',
+                state: 'claimed',
+                reference: this.normalizeReference(reference),
+                claimedAt: new Date().toISOString()
+            }
+        };
+    },
+
+    setState: function(orderId, state) {
+        if (!this.states.includes(state)) {
+            return Promise.reject(new Error(`Unknown payment state "${state}"`));
+        }
+        return window.orderHistory.get(orderId).then(order => {
+            if (!order) throw new Error(`Order "${orderId}" not found`);
+            const payment = order.payment || this.newPayment('later', order.total);
+            return window.orderHistory.save({
+                ...order,
+                payment: {
+                    ...payment,
+                    state,
+                    verifiedAt: state === 'verified' ? new Date().toISOString() : null
+                }
+            });
+        });
+    },
+
+    describe: function(payment) {
+        if (payment.method !== 'upi') return 'Pay later (to be arranged on WhatsApp)';
+        if (payment.state === 'pending') return `UPI, not paid yet (${formatRupee(payment.amount)})`;
+        const status = payment.state === 'verified' ? 'verified' : 'please verify';
+        return `UPI ${formatRupee(payment.amount)}, UTR ${payment.reference} (${status})`;
+    }
+};
@@ -0,0 +1,177 @@
+/**
+ * ===== PDF DOCUMENT =====
+ * Minimal PDF writer for the downloadable invoice, so no PDF library or web
+ * service is needed. Text in the standard Helvetica fonts, lines and filled
+ * rectangles on A4 pages; enough for a table-style document.
+ *
+ * Coordinates are in points (1/72 inch) from the top left corner of the page.
+ * The standard fonts only cover Latin-1, so "₹" is written as "Rs." and other
+ * characters outside it as "?".
+ *
+ * API (new PdfDocument()):
+ *   addPage()                         start a new page; the first is added for you
+ *   text(x, y, str, options)          options.size (10), options.bold,
+ *                                     options.align ('left', 'right', 'center'),
+ *                                     options.color ([r, g, b], 0-1)
+ *   line(x1, y1, x2, y2, options)     options.width (0.5), options.color
+ *   rect(x, y, width, height, color)  filled rectangle
+ *   textWidth(str, size)              width of a string in points
+ *   wrap(str, width, size)            lines of at most that width
+ *   output()                          the file as a string (ASCII only)
+ *   toBlob()                          the file as an application/pdf Blob
+ */
+
+class PdfDocument {
+    constructor() {
+        this.width = 595.28;
+        this.height = 841.89;
+        this.pages = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        return this;
+    }
+
+    text(x, y, str, options = {}) {
+        const size = options.size || 10;
+        const encoded = PdfDocument.encode(str);
+        const width = this.textWidth(encoded, size);
+        const left = options.align === 'right' ? x - width : options.align === 'center' ? x - width / 2 : x;
+        this.page.push(
+            'BT',
+            `${PdfDocument.color(options.color || [0, 0, 0])} rg`,
+            `/${options.bold ? 'F2' : 'F1'} ${size} Tf`,
+            `${PdfDocument.num(left)} ${PdfDocument.num(this.height - y)} Td`,
+            `(${PdfDocument.escape(encoded)}) Tj`,
+            'ET'
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2, options = {}) {
+        this.page.push(
+            `${PdfDocument.color(options.color || [0, 0, 0])} RG`,
+            `${PdfDocument.num(options.width || 0.5)} w`,
+            `${PdfDocument.num(x1)} ${PdfDocument.num(this.height - y1)} m`,
+            `${PdfDocument.num(x2)} ${PdfDocument.num(this.height - y2)} l S`
+        );
+        return this;
+    }
+
+    rect(x, y, width, height, color) {
+        this.page.push(
+            `${PdfDocument.color(color)} rg`,
+            `${PdfDocument.num(x)} ${PdfDocument.num(this.height - y - height)} ${PdfDocument.num(width)} ${PdfDocument.num(height)} re f`
+        );
+        return this;
+    }
+
+    // Bold text is measured with the regular widths; close enough to align
+    // short labels and amounts
+    textWidth(str, size = 10) {
+        const encoded = PdfDocument.encode(str);
+        let units = 0;
+        for (let i = 0; i < encoded.length; i++) {
+            const code = encoded.charCodeAt(i);
+            units += code >= 32 && code <= 126 ? PdfDocument.HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return units * size / 1000;
+    }
+
+    wrap(str, width, size = 10) {
+        const lines = [];
+        String(str).split('\n').forEach(paragraph => {
+            let current = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = current ? `${current} ${word}` : word;
+                if (current && this.textWidth(candidate, size) > width) {
+                    lines.push(current);
+                    current = word;
+                } else {
+                    current = candidate;
+                }
+            });
+            lines.push(current);
+        });
+        return lines;
+    }
+
+    output() {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            null, // the page tree, once the page objects are numbered
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+
+        const kids = [];
+        this.pages.forEach(commands => {
+            const content = commands.join('\n');
+            objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            const contentRef = objects.length;
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`);
+            kids.push(`${objects.length} 0 R`);
+        });
+        objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+        // Byte offsets for the cross-reference table; the file is ASCII only
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+
+    // Text as WinAnsi (Latin-1 plus a few typographic characters)
+    static encode(str) {
+        return String(str === undefined || str === null ? '' : str)
+            .replace(/₹\s?/g, 'Rs. ')
+            .replace(/[−–—]/g, '-')
+            .replace(/×/g, 'x')
+            .replace(/…/g, '...')
+            .replace(/[^\x20-\x7e\xa0-\xff‘’“”•]/g, ch => (/\s/.test(ch) ? ' ' : '?'));
+    }
+
+    static escape(encoded) {
+        const winAnsi = { '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95 };
+        return encoded.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, ch =>
+            '\\' + (winAnsi[ch] || ch.charCodeAt(0)).toString(8).padStart(3, '0'));
+    }
+
+    static num(n) {
+        return String(Math.round(n * 100) / 100);
+    }
+
+    static color(rgb) {
+        return rgb.map(PdfDocument.num).join(' ');
+    }
+}
+
+// Helvetica advance widths for characters 32-126, in 1/1000 em
+PdfDocument.HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+window.PdfDocument = PdfDocument;
@@ -0,0 +1,174 @@
+/**
+ * ===== PRODUCT FILTERS =====
+ * Combinable facets and sorting for the products grid.
+ *
+ * State is { category: [], price: [], concern: [], family: [], flags: [], sort }.
+ * Options inside one facet are alternatives (OR); different facets must all
+ * match (AND). The state round-trips through the query string, e.g.
+ *   index.html?category=haircare,skincare&concern=dandruff&sort=price-asc#products
+ * The old single-value ?filter=<category> links still work.
+ *
+ * Product fields used: category, price, concerns[], fragranceFamily and
+ * halal / crueltyFree (booleans). A facet only shows up once some product
+ * carries it.
+ *
+ * "Most popular" ranks by approved reviews (reviews.js): the page counts
+ * them with popularity() and passes the result to apply(). Ties, and every
+ * product until reviews arrive, keep catalog order.
+ *
+ * API (window.productFilters):
+ *   fromParams(params, defaults)   state from URLSearchParams
+ *   toQuery(state)                 query string ('' when nothing is set)
+ *   apply(products, state, popularity)
+ *                                  filtered and sorted copy; popularity is a
+ *                                  Map of product id to score
+ *   popularity(reviews)            Map of product id to approved review count
+ *   options(products, facet)       [{ value, label, count }] present in products
+ */
+
+window.productFilters = {
+    facets: ['category', 'price', 'concern', 'family', 'flags'],
+
+    priceRanges: [
+        { value: 'under-1000', label: 'Under ₹1,000', min: 0, max: 999 },
+        { value: '1000-2499', label: '₹1,000 – ₹2,499', min: 1000, max: 2499 },
+        { value: '2500-plus', label: '₹2,500 & above', min: 2500, max: Infinity }
+    ],
+
+    flags: [
+        { value: 'halal', label: 'Halal', field: 'halal' },
+        { value: 'cruelty-free', label: 'Cruelty-free', field: 'crueltyFree' }
+    ],
+
+    sorts: {
+        featured: 'Featured',
+        popular: 'Most popular',
+        'price-asc': 'Price: low to high',
+        'price-desc': 'Price: high to low'
+    },
+
+    labels: {
+        'fragrance': 'Fragrances',
+        'perfumed-cream': 'Perfumed Creams',
+        'haircare': 'Haircare',
+        'skincare': 'Skincare',
+        'fitness': 'Fitness',
+        'combo': 'Combos'
+    },
+
+    // "hair-fall" -> "Hair fall" for values without an explicit label
+    label: function(value) {
+        if (this.labels[value]) return this.labels[value];
+        const text = String(value).replace(/-/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+
+    emptyState: function() {
+        return { category: [], price: [], concern: [], family: [], flags: [], sort: 'featured' };
+    },
+
+    fromParams: function(params, defaults = {}) {
+        const state = { ...this.emptyState(), ...defaults };
+        const list = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+
+        // Legacy single-category links (?filter=skincare, ?filter=all)
+        const legacy = params.get('filter');
+        if (legacy && legacy !== 'all') {
+            state.category = [legacy];
+        }
+
+        this.facets.forEach(facet => {
+            if (params.has(facet)) state[facet] = list(params.get(facet));
+        });
+
+        if (params.has('sort') && this.sorts[params.get('sort')]) {
+            state.sort = params.get('sort');
+        }
+
+        return state;
+    },
+
+    toQuery: function(state) {
+        const params = new URLSearchParams();
+        this.facets.forEach(facet => {
+            if (state[facet].length) params.set(facet, state[facet].join(','));
+        });
+        if (state.sort !== 'featured') params.set('sort', state.sort);
+
+        // Keep commas readable in shared links
+        return params.toString().replace(/%2C/g, ',');
+    },
+
+    // Values of one facet a product carries
+    valuesOf: function(product, facet) {
+        switch (facet) {
+            case 'category':
+                return [product.category];
+            case 'price':
+                return this.priceRanges
+                    .filter(range => product.price >= range.min && product.price <= range.max)
+                    .map(range => range.value);
+            case 'concern':
+                return product.concerns || [];
+            case 'family':
+                return product.fragranceFamily ? [product.fragranceFamily] : [];
+            case 'flags':
+                return this.flags.filter(flag => product[flag.field] === true).map(flag => flag.value);
+            default:
+                return [];
+        }
+    },
+
+    matches: function(product, state) {
+        return this.facets.every(facet => {
+            const selected = state[facet];
+            if (!selected.length) return true;
+
+            const values = this.valuesOf(product, facet);
+            // Flags are requirements, so every selected flag must be present
+            return facet === 'flags'
+                ? selected.every(value => values.includes(value))
+                : selected.some(value => values.includes(value));
+        });
+    },
+
+    apply: function(products, state, popularity = new Map()) {
+        const list = products.filter(p => this.matches(p, state));
+
+        // Array.prototype.sort is stable, so ties keep catalog order
+        switch (state.sort) {
+            case 'price-asc':
+                return list.sort((a, b) => a.price - b.price);
+            case 'price-desc':
+                return list.sort((a, b) => b.price - a.price);
+            case 'popular':
+                return list.sort((a, b) => (popularity.get(b.id) || 0) - (popularity.get(a.id) || 0));
+            default:
+                return list;
+        }
+    },
+
+    popularity: function(reviews) {
+        const counts = new Map();
+        reviews
+            .filter(review => review.status === 'approved')
+            .forEach(review => counts.set(review.productId, (counts.get(review.productId) || 0) + 1));
+        return counts;
+    },
+
+    options: function(products, facet) {
+        const counts = new Map();
+        products.forEach(p => {
+            this.valuesOf(p, facet).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        });
+
+        // Price ranges and flags keep their defined order
+        const ordered = facet === 'price' ? this.priceRanges
+            : facet === 'flags' ? this.flags
+            : [...counts.keys()].map(value => ({ value, label: this.label(value) }));
+
+        return ordered
+            .filter(option => counts.has(option.value))
+            .map(option => ({ value: option.value, label: option.label, count: counts.get(option.value) }));
+    }
+};
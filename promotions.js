@@ -0,0 +1,146 @@
+/**
+ * ===== PROMOTIONS ENGINE =====
+ * Rule-based offers applied to the cart, and the source of the promotional
+ * messages shown in the offer banner.
+ *
+ * Rule types:
+ *   percent        { category, percent }   percentage off every unit in a category
+ *   buyXgetY       { category, buy, get }  in every group of buy + get units of a
+ *                                          category the cheapest get units are free
+ *   freeShipping   { threshold }           no delivery charge once the discounted
+ *                                          subtotal reaches the threshold
+ *
+ * The delivery charge itself comes from shipping.js (PIN code zone and
+ * weight).
+ *
+ * Every rule may carry starts / ends (ISO dates, inclusive) to limit it to a
+ * date window, and a banner message (with an optional bannerLink) that the
+ * offer banner (banner.js) shows while it is active.
+ *
+ * API (window.promotions):
+ *   active(now)          rules running at the given date (default: today)
+ *   apply(items, options)
+ *                        price a list of cart items for options.pincode
+ *                        (delivery address) on options.now (default: today);
+ *                        returns { subtotal, discounts, discountTotal,
+ *                        shipping, delivery (the shipping.js quote before
+ *                        free delivery), freeShippingThreshold (null without
+ *                        an active free delivery offer), total }
+ */
+
+window.promotions = {
+    rules: [
+        {
+            id: 'fragrance-25',
+            type: 'percent',
+            category: 'fragrance',
+            percent: 25,
+            label: '25% OFF Fragrances',
+            banner: "🎉 TODAY'S SPECIAL: 25% OFF on All Fragrances",
+            bannerLink: 'fragrance.html',
+            starts: null,
+            ends: null
+        },
+        {
+            id: 'skincare-b2g1',
+            type: 'buyXgetY',
+            category: 'skincare',
+            buy: 2,
+            get: 1,
+            label: 'Buy 2 Get 1 FREE Skincare',
+            banner: '💄 MEGA DEAL: Buy 2 Get 1 FREE on Skincare',
+            bannerLink: 'skincare.html',
+            starts: null,
+            ends: null
+        },
+        {
+            id: 'creams-30',
+            type: 'percent',
+            category: 'perfumed-cream',
+            percent: 30,
+            label: '30% OFF Perfumed Creams',
+            bannerLink: 'fragrance.html',
+            banner: '🌟 LIMITED TIME: 30% OFF Perfumed Creams',
+            starts: null,
+            ends: null
+        },
+        {
+            id: 'free-delivery-999',
+            type: 'freeShipping',
+            threshold: 999,
+            label: 'FREE Delivery above ₹999',
+            banner: '🚚 FREE Delivery on Orders Above ₹999',
+            starts: null,
+            ends: null
+        }
+    ],
+
+    isActive: function(rule, now = new Date()) {
+        // Compare local calendar days so a window ends at local midnight
+        const pad = (n) => String(n).padStart(2, '0');
+        const day = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        if (rule.starts && day < rule.starts) return false;
+        if (rule.ends && day > rule.ends) return false;
+        return true;
+    },
+
+    active: function(now = new Date()) {
+        return this.rules.filter(rule => this.isActive(rule, now));
+    },
+
+    // Unit prices of every cart unit in a category, most expensive first
+    unitPrices: function(items, category) {
+        const prices = [];
+        items.forEach(item => {
+            const product = window.catalog ? window.catalog.get(item.id) : null;
+            if (!product || product.category !== category) return;
+            for (let i = 0; i < item.qty; i++) {
+                prices.push(item.price);
+            }
+        });
+        return prices.sort((a, b) => b - a);
+    },
+
+    discountFor: function(rule, items) {
+        if (rule.type === 'percent') {
+            const base = this.unitPrices(items, rule.category).reduce((sum, price) => sum + price, 0);
+            return Math.round(base * rule.percent / 100);
+        }
+
+        if (rule.type === 'buyXgetY') {
+            const prices = this.unitPrices(items, rule.category);
+            const freeUnits = Math.floor(prices.length / (rule.buy + rule.get)) * rule.get;
+            return prices.slice(prices.length - freeUnits).reduce((sum, price) => sum + price, 0);
+        }
+
+        return 0;
+    },
+
+    apply: function(items, options = {}) {
+        const rules = this.active(options.now || new Date());
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.qty, 0);
+
+        const discounts = rules
+            .map(rule => ({ id: rule.id, label: rule.label, amount: this.discountFor(rule, items) }))
+            .filter(discount => discount.amount > 0);
+        const discountTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+        const afterDiscounts = subtotal - discountTotal;
+
+        const freeShipping = rules.find(rule => rule.type === 'freeShipping');
+        const delivery = window.shipping.quote(items, options.pincode);
+        let shipping = delivery.charge;
+        if (freeShipping && afterDiscounts >= freeShipping.threshold) {
+            shipping = 0;
+        }
+
+        return {
+            subtotal,
+            discounts,
+            discountTotal,
+            shipping,
+            delivery,
+            freeShippingThreshold: freeShipping ? freeShipping.threshold : null,
+            total: afterDiscounts + shipping
+        };
+    }
+};
@@ -0,0 +1,409 @@
+/**
+ * ===== QR CODE =====
+ * Draws QR codes on the page (the UPI payment step), so payment links are
+ * never sent to an outside QR service. Byte mode, versions 1-40, error
+ * correction L/M/Q/H and the standard mask selection, following ISO/IEC 18004.
+ *
+ * API (window.QRCode):
+ *   QRCode.encode(text, options)   { version, size, mask, modules } where
+ *                                  modules[y][x] is true for a dark module;
+ *                                  options.ecl ('M'), options.mask (auto)
+ *   QRCode.toSvg(text, options)    SVG markup; also options.margin (4 modules)
+ *                                  and options.label (accessible name)
+ */
+
+class QRCode {
+    constructor(version, ecl, codewords, mask) {
+        this.version = version;
+        this.ecl = ecl;
+        this.size = version * 4 + 17;
+        this.modules = [];
+        this.isFunction = [];
+        for (let i = 0; i < this.size; i++) {
+            this.modules.push(new Array(this.size).fill(false));
+            this.isFunction.push(new Array(this.size).fill(false));
+        }
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(codewords));
+
+        // Pick the mask with the lowest penalty unless one was asked for
+        if (mask === undefined || mask === null) {
+            let best = Infinity;
+            for (let m = 0; m < 8; m++) {
+                this.applyMask(m);
+                this.drawFormatBits(m);
+                const penalty = this.penaltyScore();
+                if (penalty < best) {
+                    mask = m;
+                    best = penalty;
+                }
+                this.applyMask(m); // XOR again to undo
+            }
+        }
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+        this.isFunction = null;
+    }
+
+    static encode(text, options = {}) {
+        const ecl = options.ecl || 'M';
+        if (!(ecl in QRCode.ECL)) throw new Error(`Unknown error correction level "${ecl}"`);
+        const bytes = QRCode.utf8(String(text));
+
+        // Smallest version the data fits in
+        let version = 1;
+        let countBits;
+        for (; ; version++) {
+            if (version > 40) throw new Error('Text is too long for a QR code');
+            countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= QRCode.dataCodewords(version, ecl) * 8) break;
+        }
+
+        // Mode indicator (byte), character count, data, terminator and padding
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0x4, 4);
+        append(bytes.length, countBits);
+        bytes.forEach(b => append(b, 8));
+
+        const capacity = QRCode.dataCodewords(version, ecl) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const qr = new QRCode(version, ecl, codewords, options.mask);
+        return { version: qr.version, size: qr.size, mask: qr.mask, modules: qr.modules };
+    }
+
+    static toSvg(text, options = {}) {
+        const qr = QRCode.encode(text, options);
+        const margin = options.margin === undefined ? 4 : options.margin;
+        const full = qr.size + margin * 2;
+
+        let path = '';
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+        }));
+
+        const label = String(options.label || 'QR code').replace(/[&<>"]/g, ch =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges" role="img" aria-label="${label}">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    static utf8(text) {
+        if (typeof TextEncoder !== 'undefined') return Array.from(new TextEncoder().encode(text));
+        return Array.from(unescape(encodeURIComponent(text)), ch => ch.charCodeAt(0));
+    }
+
+    // Modules available for data and error correction in a version
+    static rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static dataCodewords(version, ecl) {
+        const level = QRCode.ECL[ecl].index;
+        return Math.floor(QRCode.rawDataModules(version) / 8) -
+            QRCode.ECC_CODEWORDS_PER_BLOCK[level][version] * QRCode.NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    }
+
+    // ----- Function patterns -----
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(this.size - 4, 3);
+        this.drawFinder(3, this.size - 4);
+
+        const positions = this.alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            // The three corners hold finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignment(x, y);
+        }));
+
+        // Reserve the format areas now; the real bits are drawn with the mask
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinder(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunction(xx, yy, dist !== 2 && dist !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignment(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    alignmentPositions() {
+        if (this.version === 1) return [];
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = this.size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    drawFormatBits(mask) {
+        const data = (QRCode.ECL[this.ecl].formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        // Split between the other two finders, plus the fixed dark module
+        for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, bit(i));
+        this.setFunction(8, this.size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (this.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+
+    // ----- Data -----
+
+    addEccAndInterleave(data) {
+        const level = QRCode.ECL[this.ecl].index;
+        const numBlocks = QRCode.NUM_ERROR_CORRECTION_BLOCKS[level][this.version];
+        const blockEccLen = QRCode.ECC_CODEWORDS_PER_BLOCK[level][this.version];
+        const rawCodewords = Math.floor(QRCode.rawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = QRCode.reedSolomonDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = QRCode.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of the short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // Zigzag through the non-function modules in pairs of columns
+    drawCodewords(data) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // the vertical timing pattern
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < data.length * 8) {
+                        this.modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const invert = patterns[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && invert(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    // ----- Mask penalty -----
+
+    penaltyScore() {
+        const size = this.size;
+        const m = this.modules;
+        let result = 0;
+
+        // Runs of one colour and finder-like patterns, in rows then columns
+        const scanLine = (get) => {
+            let runColor = false;
+            let runLength = 0;
+            const history = [0, 0, 0, 0, 0, 0, 0];
+            for (let i = 0; i < size; i++) {
+                if (get(i) === runColor) {
+                    runLength++;
+                    if (runLength === 5) result += 3;
+                    else if (runLength > 5) result++;
+                } else {
+                    this.addRunHistory(runLength, history);
+                    if (!runColor) result += this.finderLikePatterns(history) * 40;
+                    runColor = get(i);
+                    runLength = 1;
+                }
+            }
+            if (runColor) {
+                this.addRunHistory(runLength, history);
+                runLength = 0;
+            }
+            this.addRunHistory(runLength + size, history);
+            result += this.finderLikePatterns(history) * 40;
+        };
+        for (let y = 0; y < size; y++) scanLine(x => m[y][x]);
+        for (let x = 0; x < size; x++) scanLine(y => m[y][x]);
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const c = m[y][x];
+                if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1]) result += 3;
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = m.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    }
+
+    addRunHistory(length, history) {
+        if (history[0] === 0) length += this.size; // light border before the first run
+        history.pop();
+        history.unshift(length);
+    }
+
+    finderLikePatterns(h) {
+        const n = h[1];
+        const core = n > 0 && h[2] === n && h[3] === n * 3 && h[4] === n && h[5] === n;
+        return (core && h[0] >= n * 4 && h[6] >= n ? 1 : 0) + (core && h[6] >= n * 4 && h[0] >= n ? 1 : 0);
+    }
+
+    // ----- Reed-Solomon over GF(2^8) -----
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QRCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= QRCode.gfMultiply(coef, factor); });
+        });
+        return result;
+    }
+
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+}
+
+QRCode.ECL = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+// Indexed by error correction level, then version (index 0 unused)
+QRCode.ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+QRCode.NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+window.QRCode = QRCode;
@@ -0,0 +1,274 @@
+/**
+ * ===== PRODUCT REVIEWS =====
+ * Customer reviews and star ratings per catalog product.
+ *
+ * A review is { id, productId, rating (1-5), name, text, photos, createdAt,
+ * status }. New reviews are "pending" until the shop owner moderates them to
+ * "approved" (shown to everyone, and used for the testimonials on
+ * index.html) or "rejected". A visitor also sees their own pending reviews,
+ * marked as waiting for approval; their ids are kept under "reviews-own".
+ *
+ * Where reviews live is up to a storage adapter. Both return promises:
+ *   LocalReviewAdapter(key)      this browser only, localStorage under
+ *                                "product-reviews"; for the demo site
+ *   HttpReviewAdapter(endpoint)  GET endpoint?product=<id> / ?status=approved,
+ *                                POST endpoint (new review),
+ *                                PATCH endpoint?id=<id> (moderation, sends
+ *                                the owner token as X-Owner-Token)
+ * An adapter implements list(filter), add(review) and update(id, changes);
+ * filter is { productId, status }. Setting siteConfig.reviewsEndpoint
+ * switches the site to the HTTP adapter; dev/mock-server.js implements it.
+ *
+ * The owner moderates from the browser console:
+ *   reviews.moderate('<review id>', 'approved')
+ * With the HTTP adapter the server only accepts that with the owner token,
+ * which is kept in this browser only (never in the site's source):
+ *   localStorage.setItem('reviews-owner-token', '<token>')
+ *
+ * API (window.reviews):
+ *   forProduct(productId)      approved reviews plus this visitor's pending
+ *                              ones, newest first
+ *   approved(options)          approved reviews of every product;
+ *                              options.minRating, options.limit
+ *   summary(reviews)           { average, count, distribution: {5: n, ...} }
+ *   validate(fields)           { field: message } for invalid input
+ *   submit(productId, fields)  promise of the stored review; rejects with
+ *                              err.errors for invalid input
+ *   moderate(id, status)       "approved" / "rejected" / "pending"
+ *   isOwn(review)              submitted from this browser
+ *   setAdapter(adapter)
+ *   subscribe(listener)        listener({ type, review }) after submit and
+ *                              moderate; returns an unsubscribe function
+ */
+
+class LocalReviewAdapter {
+    constructor(storageKey = 'product-reviews') {
+        this.storageKey = storageKey;
+    }
+
+    read() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    write(list) {
+        localStorage.setItem(this.storageKey, JSON.stringify(list));
+    }
+
+    list(filter = {}) {
+        return Promise.resolve(this.read().filter(review =>
+            (!filter.productId || review.productId === filter.productId) &&
+            (!filter.status || review.status === filter.status)
+        ));
+    }
+
+    add(review) {
+        // Photos are data URLs, so a full quota is a real possibility
+        try {
+            this.write([...this.read(), review]);
+        } catch (e) {
+            return Promise.reject(new Error('Your browser storage is full. Try again with fewer or smaller photos.'));
+        }
+        return Promise.resolve(review);
+    }
+
+    update(id, changes) {
+        const list = this.read();
+        const review = list.find(r => r.id === id);
+        if (!review) return Promise.reject(new Error(`Review "${id}" not found`));
+        Object.assign(review, changes);
+        this.write(list);
+        return Promise.resolve(review);
+    }
+}
+
+class HttpReviewAdapter {
+    constructor(endpoint, ownerTokenKey = 'reviews-owner-token') {
+        this.endpoint = endpoint;
+        this.ownerTokenKey = ownerTokenKey;
+    }
+
+    request(url, options) {
+        return fetch(url, options).then(response => {
+            if (!response.ok) {
+                throw new Error(`Review request failed with status ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    list(filter = {}) {
+        const params = new URLSearchParams();
+        if (filter.productId) params.set('product', filter.productId);
+        if (filter.status) params.set('status', filter.status);
+        return this.request(`${this.endpoint}?${params}`);
+    }
+
+    add(review) {
+        return this.request(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(review)
+        });
+    }
+
+    update(id, changes) {
+        const token = localStorage.getItem(this.ownerTokenKey);
+        if (!token) {
+            return Promise.reject(new Error(`Moderation needs the owner token: localStorage.setItem('${this.ownerTokenKey}', '<token>')`));
+        }
+        return this.request(`${this.endpoint}?id=${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', 'X-Owner-Token': token },
+            body: JSON.stringify(changes)
+        });
+    }
+}
+
+class ReviewStore {
+    constructor(adapter, ownKey = 'reviews-own') {
+        this.adapter = adapter;
+        this.ownKey = ownKey;
+        this.maxPhotos = 3;
+        this.statuses = ['pending', 'approved', 'rejected'];
+        this.listeners = new Set();
+    }
+
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Reviews listener failed:', error);
+            }
+        });
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    ownIds() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(this.ownKey) || '[]');
+            return Array.isArray(ids) ? ids : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    isOwn(review) {
+        return this.ownIds().includes(review.id);
+    }
+
+    newestFirst(list) {
+        return list.slice().sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    forProduct(productId) {
+        return this.adapter.list({ productId }).then(list => this.newestFirst(
+            list.filter(review => review.status === 'approved' ||
+                (review.status === 'pending' && this.isOwn(review)))
+        ));
+    }
+
+    approved(options = {}) {
+        return this.adapter.list({ status: 'approved' }).then(list => {
+            const matching = this.newestFirst(list)
+                .filter(review => review.status === 'approved' && review.rating >= (options.minRating || 1));
+            return options.limit ? matching.slice(0, options.limit) : matching;
+        });
+    }
+
+    /**
+     * Average and per-star counts; only approved reviews count
+     */
+    summary(reviews) {
+        const counted = reviews.filter(review => review.status === 'approved');
+        const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        counted.forEach(review => { distribution[review.rating]++; });
+        const total = counted.reduce((sum, review) => sum + review.rating, 0);
+        return {
+            average: counted.length ? Math.round(total / counted.length * 10) / 10 : 0,
+            count: counted.length,
+            distribution
+        };
+    }
+
+    validate(fields) {
+        const errors = {};
+        const rating = Number(fields.rating);
+
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            errors.rating = 'Please choose a star rating';
+        }
+        if (!fields.name || fields.name.trim().length < 2) {
+            errors.name = 'Please enter your name';
+        }
+        if (!fields.text || fields.text.trim().length < 10) {
+            errors.text = 'Please write at least a few words (10 characters)';
+        } else if (fields.text.length > 2000) {
+            errors.text = 'Please keep your review under 2000 characters';
+        }
+        if ((fields.photos || []).length > this.maxPhotos) {
+            errors.photos = `You can add up to ${this.maxPhotos} photos`;
+        }
+        return errors;
+    }
+
+    submit(productId, fields) {
+        if (!window.catalog.get(productId)) {
+            return Promise.reject(new Error(`Unknown product "${productId}"`));
+        }
+
+        const errors = this.validate(fields);
+        if (Object.keys(errors).length) {
+            const error = new Error('Please correct the highlighted fields');
+            error.errors = errors;
+            return Promise.reject(error);
+        }
+
+        const review = {
+            id: `rev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            productId,
+            rating: Number(fields.rating),
+            name: fields.name.trim(),
+            text: fields.text.trim(),
+            photos: fields.photos || [],
+            createdAt: new Date().toISOString(),
+            status: 'pending'
+        };
+
+        return this.adapter.add(review).then(saved => {
+            const stored = saved && saved.id ? saved : review;
+            localStorage.setItem(this.ownKey, JSON.stringify([...this.ownIds(), stored.id]));
+            this.emit({ type: 'submit', review: stored });
+            return stored;
+        });
+    }
+
+    moderate(id, status) {
+        if (!this.statuses.includes(status)) {
+            return Promise.reject(new Error(`Unknown review status "${status}"`));
+        }
+        return this.adapter.update(id, { status }).then(review => {
+            this.emit({ type: 'moderate', review });
+            return review;
+        });
+    }
+}
+
+window.LocalReviewAdapter = LocalReviewAdapter;
+window.HttpReviewAdapter = HttpReviewAdapter;
+window.reviews = new ReviewStore(window.siteConfig.reviewsEndpoint
+    ? new HttpReviewAdapter(window.siteConfig.reviewsEndpoint)
+    : new LocalReviewAdapter());
@@ -1,535 +1,245 @@
-/**
- * ===== RESPONSIVE AUTO-SWIPING IMAGE SLIDER =====
- * Production-ready image slider for e-commerce websites
- * Features: Auto-slide, pause on hover, error handling, responsive design
- */
+// ===== CATALOG-DRIVEN PAGE CONTENT =====
+// Product names, prices and images are rendered from window.catalog so the
+// markup never carries its own copy of them.
+
+// Whole rupees as "₹1,499"; amounts with paise (taxes) as "₹228.66"
+function formatRupee(n) {
+    const fraction = Number.isInteger(Number(n)) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+    return '₹' + Number(n).toLocaleString('en-IN', fraction);
+}
 
-class ResponsiveImageSlider {
-    constructor(sliderId, options = {}) {
-        // Configuration options with defaults
-        this.options = {
-            autoSlideInterval: options.autoSlideInterval || 4000, // 4 seconds
-            transitionDuration: options.transitionDuration || 600, // 0.6 seconds
-            pauseOnHover: options.pauseOnHover !== false, // Default true
-            fallbackImage: options.fallbackImage || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxOCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIE5vdCBBdmFpbGFibGU8L3RleHQ+PC9zdmc+',
-            ...options
-        };
-        
-        // Get slider element
-        this.slider = document.getElementById(sliderId);
-        if (!this.slider) {
-            console.error(`Slider with ID "${sliderId}" not found`);
-            return;
-        }
-        
-        // Initialize slider components
-        this.slides = this.slider.querySelectorAll('.slide');
-        this.dots = this.slider.querySelectorAll('.dot');
-        this.prevBtn = this.slider.querySelector('.prev-btn');
-        this.nextBtn = this.slider.querySelector('.next-btn');
-        
-        // Slider state
-        this.currentSlide = 0;
-        this.totalSlides = this.slides.length;
-        this.autoSlideTimer = null;
-        this.isTransitioning = false;
-        this.imagesLoaded = new Set();
-        
-        // Initialize if we have slides
-        if (this.totalSlides > 0) {
-            this.init();
-        }
-    }
-    
-    /**
-     * Initialize the slider
-     */
-    init() {
-        console.log('Initializing ResponsiveImageSlider...');
-        
-        // Load images after DOM is ready
-        this.loadImages();
-        
-        // Set up event listeners
-        this.setupEventListeners();
-        
-        // Start auto-slide
-        this.startAutoSlide();
-        
-        // Set initial state
-        this.updateSlider();
-        
-        console.log('ResponsiveImageSlider initialized successfully');
-    }
-    
-    /**
-     * Load all images with proper error handling
-     */
-    loadImages() {
-        this.slides.forEach((slide, index) => {
-            const imageSrc = slide.dataset.src;
-            const imageAlt = slide.dataset.alt || `Slide ${index + 1}`;
-            
-            if (!imageSrc) {
-                console.warn(`No image source found for slide ${index}`);
-                this.handleImageError(slide, index);
-                return;
-            }
-            
-            // Create image element
-            const img = new Image();
-            
-            // Handle successful image load
-            img.onload = () => {
-                this.handleImageLoad(slide, img, index);
-            };
-            
-            // Handle image load error
-            img.onerror = () => {
-                console.warn(`Failed to load image: ${imageSrc}`);
-                this.handleImageError(slide, index);
-            };
-            
-            // Set image properties
-            img.src = imageSrc;
-            img.alt = imageAlt;
-            img.loading = 'lazy'; // Native lazy loading
-        });
-    }
-    
-    /**
-     * Handle successful image load
-     */
-    handleImageLoad(slide, img, index) {
-        // Remove loading indicator
-        const loader = slide.querySelector('.slide-loader');
-        if (loader) {
-            loader.remove();
-        }
-        
-        // Remove any existing images to prevent duplicates
-        const existingImages = slide.querySelectorAll('img');
-        existingImages.forEach(existingImg => existingImg.remove());
-        
-        // Add the new image to slide
-        slide.appendChild(img);
-        slide.classList.remove('error');
-        this.imagesLoaded.add(index);
-        
-        console.log(`Image loaded successfully for slide ${index}`);
-    }
-    
-    /**
-     * Handle image load error with fallback
-     */
-    handleImageError(slide, index) {
-        // Remove loading indicator
-        const loader = slide.querySelector('.slide-loader');
-        if (loader) {
-            loader.remove();
-        }
-        
-        // Create fallback image
-        const fallbackImg = new Image();
-        fallbackImg.src = this.options.fallbackImage;
-        fallbackImg.alt = `Fallback image for slide ${index + 1}`;
-        fallbackImg.onload = () => {
-            slide.appendChild(fallbackImg);
-            slide.classList.add('error');
-        };
-        
-        // If fallback also fails, show text
-        fallbackImg.onerror = () => {
-            slide.innerHTML = '<div class="slide-loader">Image not available</div>';
-            slide.classList.add('error');
-        };
-        
-        console.log(`Using fallback for slide ${index}`);
-    }
-    
-    /**
-     * Set up all event listeners
-     */
-    setupEventListeners() {
-        // Navigation buttons
-        if (this.prevBtn) {
-            this.prevBtn.addEventListener('click', () => this.prevSlide());
-        }
-        
-        if (this.nextBtn) {
-            this.nextBtn.addEventListener('click', () => this.nextSlide());
-        }
-        
-        // Dot indicators
-        this.dots.forEach((dot, index) => {
-            dot.addEventListener('click', () => this.goToSlide(index));
-        });
-        
-        // Pause on hover
-        if (this.options.pauseOnHover) {
-            this.slider.addEventListener('mouseenter', () => this.pauseAutoSlide());
-            this.slider.addEventListener('mouseleave', () => this.resumeAutoSlide());
+// Escape customer-entered text before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Page title plus description and Open Graph tags, e.g. while a product
+// route is open. restorePageMeta() puts the page's own values back.
+const pageMetaDefaults = new Map();
+
+function setPageMeta(meta) {
+    if (!pageMetaDefaults.has('title')) pageMetaDefaults.set('title', document.title);
+    if (meta.title) document.title = meta.title;
+
+    const tags = {
+        'description': meta.description,
+        'og:title': meta.title,
+        'og:description': meta.description,
+        'og:image': meta.image,
+        'og:url': meta.url,
+        'og:type': meta.type
+    };
+    Object.entries(tags).forEach(([key, content]) => {
+        if (content === undefined) return;
+        const attr = key.startsWith('og:') ? 'property' : 'name';
+        let tag = document.head.querySelector(`meta[${attr}="${key}"]`);
+        if (!tag) {
+            tag = document.createElement('meta');
+            tag.setAttribute(attr, key);
+            document.head.appendChild(tag);
         }
-        
-        // Touch/swipe support
-        this.setupTouchEvents();
-        
-        // Keyboard navigation
-        this.setupKeyboardEvents();
-        
-        // Visibility change (pause when tab is not active)
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pauseAutoSlide();
-            } else {
-                this.resumeAutoSlide();
-            }
-        });
-    }
-    
-    /**
-     * Set up touch/swipe events for mobile
-     */
-    setupTouchEvents() {
-        let startX = 0;
-        let startY = 0;
-        let isSwipe = false;
-        
-        this.slider.addEventListener('touchstart', (e) => {
-            startX = e.touches[0].clientX;
-            startY = e.touches[0].clientY;
-            isSwipe = false;
-            this.pauseAutoSlide();
-        }, { passive: true });
-        
-        this.slider.addEventListener('touchmove', (e) => {
-            if (!startX || !startY) return;
-            
-            const diffX = Math.abs(e.touches[0].clientX - startX);
-            const diffY = Math.abs(e.touches[0].clientY - startY);
-            
-            // Detect horizontal swipe
-            if (diffX > diffY && diffX > 30) {
-                isSwipe = true;
-                e.preventDefault(); // Prevent scrolling
-            }
-        }, { passive: false });
-        
-        this.slider.addEventListener('touchend', (e) => {
-            if (!startX || !isSwipe) {
-                this.resumeAutoSlide();
-                return;
-            }
-            
-            const endX = e.changedTouches[0].clientX;
-            const diffX = startX - endX;
-            
-            // Swipe threshold
-            if (Math.abs(diffX) > 50) {
-                if (diffX > 0) {
-                    this.nextSlide();
-                } else {
-                    this.prevSlide();
-                }
-            }
-            
-            // Reset values
-            startX = 0;
-            startY = 0;
-            isSwipe = false;
-            this.resumeAutoSlide();
-        }, { passive: true });
-    }
-    
-    /**
-     * Set up keyboard navigation
-     */
-    setupKeyboardEvents() {
-        this.slider.addEventListener('keydown', (e) => {
-            switch (e.key) {
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.prevSlide();
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.nextSlide();
-                    break;
-                case ' ': // Spacebar
-                    e.preventDefault();
-                    this.toggleAutoSlide();
-                    break;
-            }
-        });
-        
-        // Make slider focusable
-        this.slider.setAttribute('tabindex', '0');
-    }
-    
-    /**
-     * Go to next slide
-     */
-    nextSlide() {
-        if (this.isTransitioning) return;
-        
-        const nextIndex = (this.currentSlide + 1) % this.totalSlides;
-        this.goToSlide(nextIndex);
-    }
-    
-    /**
-     * Go to previous slide
-     */
-    prevSlide() {
-        if (this.isTransitioning) return;
-        
-        const prevIndex = this.currentSlide === 0 ? this.totalSlides - 1 : this.currentSlide - 1;
-        this.goToSlide(prevIndex);
-    }
-    
-    /**
-     * Go to specific slide
-     */
-    goToSlide(index) {
-        if (this.isTransitioning || index === this.currentSlide || index < 0 || index >= this.totalSlides) {
+        if (!pageMetaDefaults.has(key)) pageMetaDefaults.set(key, tag.getAttribute('content'));
+        tag.setAttribute('content', content);
+    });
+}
+
+function restorePageMeta() {
+    pageMetaDefaults.forEach((content, key) => {
+        if (key === 'title') {
+            document.title = content;
             return;
         }
-        
-        this.isTransitioning = true;
-        this.currentSlide = index;
-        this.updateSlider();
-        
-        // Reset transition lock after animation
-        setTimeout(() => {
-            this.isTransitioning = false;
-        }, this.options.transitionDuration);
-    }
-    
-    /**
-     * Update slider display
-     */
-    updateSlider() {
-        // Update slides
-        this.slides.forEach((slide, index) => {
-            slide.classList.toggle('active', index === this.currentSlide);
-        });
-        
-        // Update dots
-        this.dots.forEach((dot, index) => {
-            dot.classList.toggle('active', index === this.currentSlide);
-        });
-        
-        // Update ARIA attributes for accessibility
-        this.updateAriaAttributes();
-    }
-    
-    /**
-     * Update ARIA attributes for accessibility
-     */
-    updateAriaAttributes() {
-        this.slides.forEach((slide, index) => {
-            slide.setAttribute('aria-hidden', index !== this.currentSlide);
-        });
-        
-        this.dots.forEach((dot, index) => {
-            dot.setAttribute('aria-pressed', index === this.currentSlide);
-        });
-    }
-    
-    /**
-     * Start auto-slide
-     */
-    startAutoSlide() {
-        if (this.totalSlides <= 1) return;
-        
-        this.autoSlideTimer = setInterval(() => {
-            this.nextSlide();
-        }, this.options.autoSlideInterval);
-    }
-    
-    /**
-     * Pause auto-slide
-     */
-    pauseAutoSlide() {
-        if (this.autoSlideTimer) {
-            clearInterval(this.autoSlideTimer);
-            this.autoSlideTimer = null;
-        }
-    }
-    
-    /**
-     * Resume auto-slide
-     */
-    resumeAutoSlide() {
-        if (!this.autoSlideTimer && this.totalSlides > 1) {
-            this.startAutoSlide();
-        }
-    }
-    
-    /**
-     * Toggle auto-slide
-     */
-    toggleAutoSlide() {
-        if (this.autoSlideTimer) {
-            this.pauseAutoSlide();
+        const tag = document.head.querySelector(`meta[name="${key}"], meta[property="${key}"]`);
+        if (!tag) return;
+        if (content === null) {
+            tag.remove();
         } else {
-            this.resumeAutoSlide();
+            tag.setAttribute('content', content);
         }
-    }
-    
-    /**
-     * Destroy slider and clean up
-     */
-    destroy() {
-        this.pauseAutoSlide();
-        console.log('ResponsiveImageSlider destroyed');
-    }
+    });
+    pageMetaDefaults.clear();
 }
 
-// Initialize slider when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize the main product slider
-    window.productSlider = new ResponsiveImageSlider('product-slider', {
-        autoSlideInterval: 4000, // 4 seconds
-        transitionDuration: 600,  // 0.6 seconds
-        pauseOnHover: true
-    });
-    
-    // Initialize the perfumed creams slider
-    window.creamsSlider = new ResponsiveImageSlider('creams-slider', {
-        autoSlideInterval: 5000, // 5 seconds
-        transitionDuration: 600,  // 0.6 seconds
-        pauseOnHover: true
-    });
-    
-    console.log('Product slider and creams slider initialized');
-});
+function renderPerfumeCard(p) {
+    const images = p.images.map((src, i) => `
+        <img src="${src}" alt="${p.name} - View ${i + 1}" class="perfume-img${i === 0 ? ' active' : ''}" data-carousel-slide>`).join('');
 
-// Clean up on page unload
-window.addEventListener('beforeunload', () => {
-    if (window.productSlider) {
-        window.productSlider.destroy();
-    }
-    if (window.creamsSlider) {
-        window.creamsSlider.destroy();
-    }
-});
+    return `
+        <div class="perfume-card" data-product-id="${p.id}">
+            <div class="perfume-image-carousel" data-carousel="fade" data-carousel-autoplay="3000" data-carousel-keyboard="false" data-carousel-click-advance data-carousel-dot-class="perfume-dot" data-carousel-label="${p.name} images">
+                <div class="perfume-image-track">${images}
+                </div>
+                <div class="perfume-dots" data-carousel-dots></div>
+            </div>
+            <div class="perfume-info">
+                <h4>${p.name}</h4>
+                <p class="perfume-price">${formatRupee(p.price)}</p>
+                <button class="btn btn-primary perfume-add-btn" data-id="${p.id}" data-name="${p.name}" data-price="${p.price}">Add to Cart</button>
+            </div>
+        </div>
+    `;
+}
 
-document.addEventListener('DOMContentLoaded', function () {
-  // --- Carousel (runs only when a carousel exists on the page) ---
-  const carousel = document.querySelector('.carousel');
-  if (carousel) {
-    const track = carousel.querySelector('.carousel-track');
-    const slides = Array.from(track.children);
-    const nextBtn = carousel.querySelector('.carousel-btn.next');
-    const prevBtn = carousel.querySelector('.carousel-btn.prev');
-    const dots = Array.from(carousel.querySelectorAll('.carousel-dots .dot'));
-
-    let index = 0;
-    const total = slides.length;
-    let auto;
-
-    function update() {
-      track.style.transform = `translateX(-${index * 100}%)`;
-      slides.forEach((s, i) => s.classList.toggle('active', i === index));
-      dots.forEach((d, i) => d.classList.toggle('active', i === index));
-    }
+function renderProductBox(p, index) {
+    return `
+        <div class="product-box" data-product-id="${p.id}">
+            <div class="product-image-left">
+                <img src="${p.images[0]}" alt="${p.name}">
+            </div>
+            <div class="product-info-right">
+                <h4>${index + 1}. ${p.name}</h4>
+                <p class="product-tagline">${p.tagline || ''}</p>
+                <ul class="product-benefits">
+                    ${(p.benefits || []).map(b => `<li>${b}</li>`).join('')}
+                </ul>
+                <p class="product-description">${p.description}</p>
+                <p class="product-price">${formatRupee(p.price)}</p>
+            </div>
+        </div>
+    `;
+}
 
-    function goTo(n) {
-      index = (n + total) % total;
-      update();
-    }
+function renderComboBox(p) {
+    const savings = p.savings || 0;
 
-    nextBtn && nextBtn.addEventListener('click', () => { goTo(index + 1); resetAuto(); });
-    prevBtn && prevBtn.addEventListener('click', () => { goTo(index - 1); resetAuto(); });
+    return `
+        <div class="combo-box" data-product-id="${p.id}">
+            <div class="combo-image-left">
+                <img src="${p.images[0]}" alt="${p.name}">
+            </div>
+            <div class="combo-info-right">
+                <h4>${p.name}</h4>
+                <p class="combo-tagline">${p.tagline || ''}</p>
+                <div class="combo-includes">
+                    <h5>Includes:</h5>
+                    <ul class="combo-items">
+                        ${(p.includes || []).map(item => `<li>${item}</li>`).join('')}
+                    </ul>
+                </div>
+                <div class="combo-benefits">
+                    <h5>Benefits:</h5>
+                    <ul class="benefit-list">
+                        ${(p.benefits || []).map(b => `<li>${b}</li>`).join('')}
+                    </ul>
+                </div>
+                <div class="combo-pricing">
+                    ${savings > 0 ? `<span class="original-price">${formatRupee(p.originalPrice)}</span>` : ''}
+                    <span class="combo-price">${formatRupee(p.price)}</span>
+                    ${savings > 0 ? `<span class="savings">Save ${formatRupee(savings)}</span>` : ''}
+                </div>
+            </div>
+        </div>
+    `;
+}
 
-    dots.forEach((dot, i) => dot.addEventListener('click', () => { goTo(i); resetAuto(); }));
+const catalogTemplates = {
+    'perfume-card': renderPerfumeCard,
+    'product-box': renderProductBox,
+    'combo-box': renderComboBox
+};
 
-    function startAuto() {
-      auto = setInterval(() => { goTo(index + 1); }, 5000);
-    }
+/**
+ * Fill every catalog hook on the page:
+ * - [data-catalog-list="<category>"] containers get one card per entry,
+ *   using the template named in data-catalog-template (optionally narrowed
+ *   to combos of one section with data-catalog-section)
+ * - [data-catalog-id][data-catalog-field] elements get a single field
+ * - [data-catalog-from] / [data-catalog-range] show category price ranges
+ * - [data-catalog-bundle="<id>"] elements describe a bundle's contents,
+ *   price and savings
+ * - .perfume-add-btn[data-id] buttons get their name and price
+ */
+function renderCatalogSections() {
+    const catalog = window.catalog;
 
-    function resetAuto() {
-      clearInterval(auto);
-      startAuto();
-    }
+    document.querySelectorAll('[data-catalog-list]').forEach(container => {
+        const template = catalogTemplates[container.dataset.catalogTemplate];
+        if (!template) {
+            console.warn(`Unknown catalog template "${container.dataset.catalogTemplate}"`);
+            return;
+        }
 
-    carousel.addEventListener('mouseenter', () => clearInterval(auto));
-    carousel.addEventListener('mouseleave', () => resetAuto());
+        const section = container.dataset.catalogSection;
+        const entries = catalog.byCategory(container.dataset.catalogList)
+            .filter(p => p.listed !== false)
+            .filter(p => !section || p.section === section);
 
-    update();
-    startAuto();
-  }
+        container.innerHTML = entries.map(template).join('');
+    });
+
+    document.querySelectorAll('[data-catalog-id][data-catalog-field]').forEach(el => {
+        const p = catalog.get(el.dataset.catalogId);
+        if (!p) {
+            console.warn(`Unknown catalog id "${el.dataset.catalogId}"`);
+            return;
+        }
+
+        const field = el.dataset.catalogField;
+        el.textContent = field === 'price' ? formatRupee(p.price) : (p[field] || '');
+    });
+
+    document.querySelectorAll('[data-catalog-from]').forEach(el => {
+        const range = catalog.priceRange(el.dataset.catalogFrom);
+        if (range) el.textContent = `From ${formatRupee(range.min)}`;
+    });
+
+    document.querySelectorAll('[data-catalog-range]').forEach(el => {
+        const range = catalog.priceRange(el.dataset.catalogRange);
+        if (range) el.textContent = `From ${formatRupee(range.min)} To ${formatRupee(range.max)}`;
+    });
+
+    document.querySelectorAll('[data-catalog-bundle]').forEach(el => {
+        const p = catalog.get(el.dataset.catalogBundle);
+        if (!p || !p.includes) return;
+        el.textContent = `Bundle: ${p.includes.join(', ')} for ${formatRupee(p.price)}` +
+            (p.savings > 0 ? ` (save ${formatRupee(p.savings)})` : '');
+    });
+
+    document.querySelectorAll('.perfume-add-btn[data-id]').forEach(btn => {
+        const p = catalog.get(btn.dataset.id);
+        if (!p) return;
+        btn.dataset.name = p.name;
+        btn.dataset.price = p.price;
+    });
+}
+
+// Resolves once the catalog-backed sections are in the DOM, so widgets that
+// decorate product cards (carousels, add-to-cart buttons) can wait for them
+window.catalogRendered = new Promise(resolve => {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.catalog.ready
+            .then(renderCatalogSections)
+            .catch(error => console.error('Failed to render product catalog:', error))
+            .then(resolve);
+    });
+});
 
+document.addEventListener('DOMContentLoaded', function () {
   // --- Products / Filters & Product Modal ---
-  const products = [
-    {
-      id: 'amplifier',
-      name: 'Amplifier',
-      category: 'fragrance',
-      images: ['Perfume/Amplifier.jpg'],
-      price: '₹1499',
-      description: 'A bold, long-lasting scent that opens with bright citrus and dries to warm amber and woods.',
-      ingredients: 'Top: Citrus | Heart: Tuberose | Base: Amber, Woods',
-      buyUrl: '#'
-    },
-    {
-      id: 'eau-de-parfum',
-      name: 'Eau de Parfum',
-      category: 'fragrance',
-      images: ['Perfume/Eau de Parfum2.jpg'],
-      price: '₹2499',
-      description: 'A refined Eau de Parfum with floral heart and powdery vanilla base—timeless and elegant.',
-      ingredients: 'Top: Bergamot | Heart: Rose, Jasmine | Base: Vanilla',
-      buyUrl: '#'
-    },
-    {
-      id: 'miss-giordani',
-      name: 'Miss Giordani Eau de Parfum',
-      category: 'fragrance',
-      images: ['Perfume/Miss Giordani Eau de Parfum2.jpg'],
-      price: '₹3499',
-      description: 'A feminine, sophisticated scent with fruity top notes and a velvety floral dry-down.',
-      ingredients: 'Top: Pear | Heart: Orange Blossom | Base: Musk',
-      buyUrl: '#'
-    },
-    {
-      id: 'mythical-seduction',
-      name: 'Mythical Seduction Fragrance Mist',
-      category: 'fragrance',
-      images: ['Perfume/Mythical Seduction Fragrance Mist2.jpg'],
-      price: '₹1299',
-      description: 'A light fragrance mist perfect for quick refreshes—airy and playful.',
-      ingredients: 'Top: Berries | Heart: Peony | Base: Soft Musk',
-      buyUrl: '#'
-    },
-    {
-      id: 'perfumed-roll-on',
-      name: 'Perfumed Roll-On Deodorant',
-      category: 'fragrance',
-      images: ['Perfume/Perfumed Roll-On Deodorant2.jpg'],
-      price: '₹999',
-      description: 'An easy-to-use roll-on with a subtle, long-lasting scent and gentle formula.',
-      ingredients: 'Aluminum-free | Fragrance: Soft Floral',
-      buyUrl: '#'
-    }
-  ];
+  // Product data comes from the shared catalog (catalog.json, loaded by catalog.js)
+  const catalog = window.catalog;
 
   // Open product detail when thumbnail is clicked
   document.querySelectorAll('.thumbnail-item').forEach(li => {
     li.addEventListener('click', (e) => {
       // If the user clicked an Add-to-cart button, do not open modal (button stops propagation anyway)
+      if (e.target.closest('.notify-me-btn, .notify-me-form')) return;
       const id = li.dataset.productId || li.querySelector('.thumb-add-btn')?.dataset?.id;
       if (!id) return;
-      const p = products.find(x => x.id === id);
+      const p = catalog.get(id);
       if (p) showProduct(p);
     });
   });
 
   const productsGrid = document.getElementById('products-grid');
-  const filterButtons = document.querySelectorAll('.filter-btn');
-  const productModal = document.getElementById('product-modal');
-  const productDetailEl = document.getElementById('product-detail');
-  const closeProduct = document.getElementById('close-product');
+  let productModal = document.getElementById('product-modal');
+  let productDetailEl = document.getElementById('product-detail');
+  let productDialog = null;
 
   function renderProducts(list) {
     if (!productsGrid) return;
@@ -543,16 +253,17 @@ document.addEventListener('DOMContentLoaded', function () {
     list.forEach(p => {
       const card = document.createElement('div');
       card.className = 'product-card';
+      card.dataset.productId = p.id;
       card.innerHTML = `
         <div class="product-image">
           <img src="${p.images ? p.images[0] : p.image}" alt="${p.name}">
         </div>
         <div class="product-info">
           <h3 class="product-name">${p.name}</h3>
-          <p class="product-price">${p.price}</p>
+          <p class="product-price">${formatRupee(p.price)}</p>
           <div style="margin-top:8px; display:flex; gap:8px;">
             <button class="btn btn-primary view-btn">View</button>
-            <a class="btn" href="${p.buyUrl}" target="_blank" rel="noopener">Buy Now</a>
+            <button class="btn thumb-add-btn" data-id="${p.id}" data-name="${escapeHtml(p.name)}" data-price="${p.price}">Add to Cart</button>
           </div>
         </div>
       `;
@@ -561,920 +272,539 @@ document.addEventListener('DOMContentLoaded', function () {
       card.querySelector('.view-btn').addEventListener('click', () => showProduct(p));
       productsGrid.appendChild(card);
     });
+
+    initializeAddToCartButtons();
+    window.wishlistUI.decorate(productsGrid);
   }
 
-  // Initial render: apply optional URL filter (e.g. index.html?filter=skincare)
-  const urlParams = new URLSearchParams(window.location.search);
-  // Support a data-default-filter on the <body> for dedicated category pages
+  // --- Facets & sorting (product-filters.js) ---
+  // The filter state lives in the query string so a filtered view can be shared
+  const filters = window.productFilters;
+  const facetsEl = document.getElementById('product-facets');
+  const sortSelect = document.getElementById('products-sort');
+  const countEl = document.getElementById('products-count');
+  const shareLink = document.getElementById('products-share');
+  const facetTitles = {
+    category: 'Category',
+    price: 'Price',
+    concern: 'Concern',
+    family: 'Fragrance family',
+    flags: 'Certified'
+  };
+
+  // Support a data-default-filter on the <body> (comma-separated categories)
   const bodyDefaultFilter = document.body && document.body.dataset ? document.body.dataset.defaultFilter : null;
-  const initialFilter = urlParams.get('filter') || bodyDefaultFilter;
+  const defaultState = bodyDefaultFilter ? { category: bodyDefaultFilter.split(',') } : {};
+  let filterState = filters.fromParams(new URLSearchParams(window.location.search), defaultState);
+  let popularity = new Map();
 
-  if (initialFilter) {
-    // Apply matching filter button if available
-    const btn = Array.from(filterButtons).find(b => b.getAttribute('data-filter') === initialFilter);
-    if (btn) {
-      btn.classList.add('active');
-      const filter = btn.getAttribute('data-filter');
-      const filtered = filter === 'all' ? products : products.filter(p => p.category === filter);
-      renderProducts(filtered);
-    } else {
-      renderProducts(products);
+  function listedProducts() {
+    return catalog.all().filter(p => p.listed !== false);
+  }
+
+  function renderFacets() {
+    if (!facetsEl) return;
+    const products = listedProducts();
+
+    facetsEl.innerHTML = filters.facets.map(facet => {
+      const options = filters.options(products, facet);
+      if (!options.length) return '';
+
+      return `
+        <fieldset class="facet-group">
+          <legend>${facetTitles[facet]}</legend>
+          ${options.map(o => `
+            <label class="facet-option">
+              <input type="checkbox" name="${facet}" value="${o.value}" ${filterState[facet].includes(o.value) ? 'checked' : ''}>
+              <span>${escapeHtml(o.label)} (${o.count})</span>
+            </label>
+          `).join('')}
+        </fieldset>
+      `;
+    }).join('') + '<button type="button" class="facet-clear" data-action="clear-filters">Clear filters</button>';
+
+    if (sortSelect) {
+      sortSelect.innerHTML = Object.entries(filters.sorts)
+        .map(([value, label]) => `<option value="${value}" ${filterState.sort === value ? 'selected' : ''}>${label}</option>`)
+        .join('');
     }
-  } else {
-    renderProducts(products);
   }
 
-  // Filter buttons
-  filterButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      filterButtons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      const filter = btn.getAttribute('data-filter');
-      if (filter === 'all') {
-        renderProducts(products);
-      } else {
-        const filtered = products.filter(p => p.category === filter);
-        renderProducts(filtered);
-      }
-    });
+  function applyFilters(updateUrl = true) {
+    const list = filters.apply(listedProducts(), filterState, popularity);
+    renderProducts(list);
+    if (countEl) countEl.textContent = `${list.length} product${list.length === 1 ? '' : 's'}`;
+
+    const query = filters.toQuery(filterState);
+    const url = `${window.location.pathname}${query ? '?' + query : ''}#products`;
+    if (updateUrl) history.replaceState(null, '', url);
+
+    if (shareLink) {
+      const shareUrl = new URL(url, window.location.href).href;
+      shareLink.href = `https://wa.me/?text=${encodeURIComponent(`Have a look at these products from ${window.siteConfig.storeName}: ${shareUrl}`)}`;
+    }
+  }
+
+  facetsEl && facetsEl.addEventListener('change', (e) => {
+    const facet = e.target.name;
+    if (!filters.facets.includes(facet)) return;
+    filterState[facet] = Array.from(facetsEl.querySelectorAll(`input[name="${facet}"]:checked`)).map(input => input.value);
+    applyFilters();
   });
 
-  // Show product in modal
-  function showProduct(p) {
-    if (!productModal || !productDetailEl) return;
+  facetsEl && facetsEl.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-action="clear-filters"]')) return;
+    filterState = { ...filters.emptyState(), sort: filterState.sort };
+    renderFacets();
+    applyFilters();
+  });
 
-    productDetailEl.innerHTML = `
-      <div class="product-gallery">
-        <img id="product-main-image" src="${p.images ? p.images[0] : p.image}" alt="${p.name}">
-        ${p.images && p.images.length > 1 ? `
-          <div class="product-thumbs" style="margin-top:8px;display:flex;gap:8px;">
-            ${p.images.map((img, i) => `<img class="product-thumb" src="${img}" data-index="${i}" alt="${p.name} ${i+1}" style="width:80px;height:80px;object-fit:cover;border:1px solid #ddd;cursor:pointer;">`).join('')}
-          </div>
-        ` : ''}
-      </div>
-      <div class="product-details">
-        <h2>${p.name}</h2>
-        <p class="product-price-detail">${p.price}</p>
-        <p class="product-description">${p.description}</p>
-        <div class="product-ingredients">
-          <h4>Notes & Ingredients</h4>
-          <p>${p.ingredients}</p>
-        </div>
-        <div style="display:flex;gap:8px;align-items:center;">
-          <a class="btn btn-primary" href="${p.buyUrl}" target="_blank" rel="noopener">Buy Now</a>
-          <button class="btn" id="close-from-modal">Close</button>
-        </div>
-      </div>
-    `;
+  sortSelect && sortSelect.addEventListener('change', () => {
+    filterState.sort = sortSelect.value;
+    applyFilters();
+  });
 
-    productModal.style.display = 'block';
+  catalog.ready.then(() => {
+    if (!productsGrid) return;
+    renderFacets();
+    applyFilters(false);
 
-    // Wire up thumbnail clicks to swap main image
-    const mainImg = document.getElementById('product-main-image');
-    document.querySelectorAll('.product-thumb').forEach(t => {
-      t.addEventListener('click', () => {
-        if (mainImg) mainImg.src = t.src;
-      });
-    });
-
-    productModal.style.display = 'block';
-
-    // Close inside modal
-    const closeFromModal = document.getElementById('close-from-modal');
-    closeFromModal && closeFromModal.addEventListener('click', closeProductModal);
-  }
-
-  function closeProductModal() {
-    if (!productModal) return;
-    productModal.style.display = 'none';
-    productDetailEl.innerHTML = '';
-  }
-
-  // Close handlers
-  closeProduct && closeProduct.addEventListener('click', closeProductModal);
-  productModal && productModal.addEventListener('click', (e) => {
-    if (e.target === productModal) closeProductModal();
+    // "Most popular" follows the approved reviews once they have loaded
+    loadPopularity();
+    window.reviews.subscribe(loadPopularity);
   });
 
-  /* -------------------- Cart handling -------------------- */
-  function getCart() {
-    try {
-      return JSON.parse(localStorage.getItem('cart') || '{}');
-    } catch (e) {
-      return {};
-    }
+  function loadPopularity() {
+    window.reviews.approved().catch(() => []).then(list => {
+      popularity = filters.popularity(list);
+      if (filterState.sort === 'popular') applyFilters(false);
+    });
   }
 
-  function saveCart(cart) {
-    localStorage.setItem('cart', JSON.stringify(cart));
-    updateCartCountUI();
+  // Pages without the product modal markup (e.g. search results on a
+  // category page) get the same modal created on first use
+  function ensureProductModal() {
+    if (!productModal) {
+      document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal" id="product-modal">
+          <div class="modal-content product-modal-content">
+            <button type="button" class="close" id="close-product" aria-label="Close">&times;</button>
+            <div class="product-detail" id="product-detail"></div>
+          </div>
+        </div>
+      `);
+      productModal = document.getElementById('product-modal');
+      productDetailEl = productModal.querySelector('#product-detail');
+      bindProductModal();
+    }
+    return productModal;
   }
 
-  function getCartCount() {
-    const cart = getCart();
-    return Object.values(cart).reduce((sum, item) => sum + (item.qty || 0), 0);
-  }
+  // --- Product routes: index.html#/product/<id> opens that product ---
+  const productRoutePrefix = '#/product/';
+  let landedOnProductRoute = false;
 
-  function updateCartCountUI() {
-    const el = document.getElementById('cart-count');
-    if (el) el.textContent = getCartCount();
+  function productIdFromHash() {
+    return window.location.hash.startsWith(productRoutePrefix)
+      ? decodeURIComponent(window.location.hash.slice(productRoutePrefix.length))
+      : null;
   }
 
-  function formatRupee(n) {
-    return '₹' + Number(n).toLocaleString('en-IN');
+  // Shareable link to a product: its own page where the build made one,
+  // otherwise the route on the home page
+  function productUrl(id) {
+    return new URL(window.siteConfig.productPath(id), window.location.href).href;
   }
 
-  function showCartToast(text) {
-    let toast = document.querySelector('.cart-toast');
-    if (!toast) {
-      toast = document.createElement('div');
-      toast.className = 'cart-toast';
-      document.body.appendChild(toast);
+  // Opening a product changes the route; the hashchange renders it, so
+  // back/forward and shared links go through the same path
+  function showProduct(p) {
+    if (productIdFromHash() === p.id) {
+      renderProduct(p);
+      return;
     }
-    toast.textContent = text;
-    toast.classList.add('show');
-    setTimeout(() => toast.classList.remove('show'), 1500);
-  }
-
-  function addToCart(id, name, price, qty = 1) {
-    const cart = getCart();
-    if (!cart[id]) cart[id] = { id, name, price: Number(price), qty: 0 };
-    cart[id].qty += qty;
-    saveCart(cart);
-    showCartToast(`${name} added to cart`);
+    window.location.hash = productRoutePrefix + encodeURIComponent(p.id);
   }
 
-  // Wire up thumbnail Add-to-cart buttons (if present)
-  document.querySelectorAll('.thumb-add-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const id = btn.dataset.id;
-      const name = btn.dataset.name || 'Item';
-      const price = btn.dataset.price || 0;
-      addToCart(id, name, price, 1);
-      e.stopPropagation();
-    });
-  });
-
-  // Cart modal UI
-  function buildCartModal() {
-    let overlay = document.querySelector('.cart-overlay');
-    if (!overlay) {
-      overlay = document.createElement('div');
-      overlay.className = 'cart-overlay';
-      overlay.innerHTML = `
-        <div class="cart-modal" role="dialog" aria-modal="true">
-          <h4>Your Cart</h4>
-          <div class="cart-items"></div>
-          <div class="cart-total">Total: ₹0</div>
-          <div class="cart-actions">
-            <button class="btn" id="close-cart">Close</button>
-            <button class="btn btn-primary" id="checkout-btn">Checkout</button>
-          </div>
-        </div>
-      `;
-      document.body.appendChild(overlay);
-
-      overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) closeCartModal();
-      });
-
-      overlay.querySelector('#close-cart').addEventListener('click', closeCartModal);
-
-      overlay.querySelector('#checkout-btn').addEventListener('click', () => {
-        alert('Checkout flow not implemented. Cart preserved in localStorage.');
-      });
+  function handleProductRoute() {
+    const id = productIdFromHash();
+    const p = id ? catalog.get(id) : null;
+    if (p) {
+      renderProduct(p);
+      return;
     }
-    return overlay;
+    if (id) console.warn(`Unknown product route "${id}"`);
+    if (productDialog && productDialog.isOpen) productDialog.close({ fromHistory: true });
   }
 
-  function openCartModal() {
-    const overlay = buildCartModal();
-    const itemsEl = overlay.querySelector('.cart-items');
-    const totalEl = overlay.querySelector('.cart-total');
+  window.addEventListener('hashchange', () => {
+    landedOnProductRoute = false;
+    catalog.ready.then(handleProductRoute);
+  });
+  catalog.ready.then(() => {
+    landedOnProductRoute = Boolean(productIdFromHash());
+    handleProductRoute();
+  });
 
-    const cart = getCart();
-    itemsEl.innerHTML = '';
+  function renderProduct(p) {
+    ensureProductModal();
 
-    const ids = Object.keys(cart);
-    if (!ids.length) {
-      itemsEl.innerHTML = '<p>Your cart is empty.</p>';
-      totalEl.textContent = 'Total: ₹0';
-    } else {
-      let total = 0;
-      ids.forEach(id => {
-        const it = cart[id];
-        const lineTotal = it.price * it.qty;
-        total += lineTotal;
-        const row = document.createElement('div');
-        row.className = 'cart-item';
-        row.dataset.id = id;
-        row.innerHTML = `
-          <div class="meta">
-            <strong>${it.name}</strong>
-            <div class="price">${formatRupee(it.price)} each</div>
+    productDetailEl.innerHTML = `
+      <div class="product-gallery">
+        <img id="product-main-image" src="${p.images ? p.images[0] : p.image}" alt="${p.name}">
+        ${p.images && p.images.length > 1 ? `
+          <div class="product-thumbs" style="margin-top:8px;display:flex;gap:8px;">
+            ${p.images.map((img, i) => `<img class="product-thumb" src="${img}" data-index="${i}" alt="${p.name} ${i+1}" style="width:80px;height:80px;object-fit:cover;border:1px solid #ddd;cursor:pointer;">`).join('')}
           </div>
-          <div class="qty-controls">
-            <button class="btn" data-action="dec">-</button>
-            <div class="qty">${it.qty}</div>
-            <button class="btn" data-action="inc">+</button>
-            <div class="line">${formatRupee(lineTotal)}</div>
-            <button class="btn" data-action="remove">Remove</button>
+        ` : ''}
+      </div>
+      <div class="product-details">
+        <h2 id="product-detail-title">${p.name}</h2>
+        <p class="product-price-detail">${formatRupee(p.price)} <small class="product-tax-note">${window.gst.priceNote()}</small></p>
+        ${window.inventory.label(p.id) ? `<p><span class="stock-badge stock-${window.inventory.status(p.id)}">${window.inventory.label(p.id)}</span></p>` : ''}
+        <p class="product-description">${p.description}</p>
+        ${p.ingredients ? `
+          <div class="product-ingredients">
+            <h4>Notes & Ingredients</h4>
+            <p>${p.ingredients}</p>
           </div>
-        `;
-        itemsEl.appendChild(row);
+        ` : ''}
+        <div style="display:flex;gap:8px;align-items:center;">
+          <a class="btn btn-primary" href="${p.buyUrl || '#'}" target="_blank" rel="noopener">Buy Now</a>
+          <a class="btn" href="https://wa.me/?text=${encodeURIComponent(`${p.name} at ${window.siteConfig.storeName}: ${productUrl(p.id)}`)}" target="_blank" rel="noopener">Share</a>
+          <button class="btn" id="close-from-modal">Close</button>
+        </div>
+      </div>
+      <section class="product-reviews" aria-label="Customer reviews"></section>
+    `;
+    window.reviewsUI.render(productDetailEl.querySelector('.product-reviews'), p);
 
-        row.querySelector('[data-action="dec"]').addEventListener('click', () => updateQty(id, -1));
-        row.querySelector('[data-action="inc"]').addEventListener('click', () => updateQty(id, 1));
-        row.querySelector('[data-action="remove"]').addEventListener('click', () => removeItem(id));
+    // Wire up thumbnail clicks to swap main image
+    const mainImg = document.getElementById('product-main-image');
+    document.querySelectorAll('.product-thumb').forEach(t => {
+      t.addEventListener('click', () => {
+        if (mainImg) mainImg.src = t.src;
       });
-      totalEl.textContent = `Total: ${formatRupee(total)}`;
-    }
+    });
 
-    overlay.classList.add('show');
-  }
+    const summary = (p.tagline || p.description || '').replace(/\s+/g, ' ').trim();
+    setPageMeta({
+      title: `${p.name} - ${window.siteConfig.storeName}`,
+      description: summary.length > 200 ? summary.slice(0, 197) + '...' : summary,
+      image: new URL(p.images ? p.images[0] : p.image, window.location.href).href,
+      url: window.location.href,
+      type: 'product'
+    });
 
-  function closeCartModal() {
-    const overlay = document.querySelector('.cart-overlay');
-    if (overlay) overlay.classList.remove('show');
-  }
+    productModal.style.display = 'block';
+    productDialog.open();
 
-  function updateQty(id, delta) {
-    const cart = getCart();
-    if (!cart[id]) return;
-    cart[id].qty += delta;
-    if (cart[id].qty <= 0) delete cart[id];
-    saveCart(cart);
-    openCartModal(); // refresh
+    // Close inside modal
+    const closeFromModal = document.getElementById('close-from-modal');
+    closeFromModal && closeFromModal.addEventListener('click', closeProductModal);
   }
 
-  function removeItem(id) {
-    const cart = getCart();
-    if (!cart[id]) return;
-    delete cart[id];
-    saveCart(cart);
-    openCartModal();
+  function closeProductModal() {
+    productDialog && productDialog.close();
   }
 
-  // Wire up cart button
-  const cartBtn = document.getElementById('cart-btn');
-  cartBtn && cartBtn.addEventListener('click', openCartModal);
-
-  // Initialize cart count on load
-  updateCartCountUI();
-
-});
-// Perfume Image Auto-Swipe Functionality
-class PerfumeCarousel {
-    constructor() {
-        this.carousels = [];
-        this.autoSwipeInterval = 3000; // 3 seconds
-        this.init();
-    }
-
-    init() {
-        // Find all perfume cards with image carousels
-        const perfumeCards = document.querySelectorAll('.perfume-card');
-        
-        perfumeCards.forEach((card, index) => {
-            const carousel = {
-                card: card,
-                images: card.querySelectorAll('.perfume-img'),
-                dots: card.querySelectorAll('.perfume-dot'),
-                currentIndex: 0,
-                intervalId: null,
-                isPaused: false
-            };
+  // Runs however the dialog was closed (button, Escape, back button)
+  function hideProductModal(options = {}) {
+    productModal.style.display = 'none';
+    productDetailEl.innerHTML = '';
+    restorePageMeta();
 
-            if (carousel.images.length > 1) {
-                this.carousels.push(carousel);
-                this.setupCarousel(carousel, index);
-                this.startAutoSwipe(carousel);
-            }
-        });
+    // Leave the product route too: step back to the page it was opened
+    // from, or drop the hash when the visitor arrived on the route directly
+    if (!options.fromHistory && productIdFromHash()) {
+      if (landedOnProductRoute) {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+      } else {
+        history.back();
+      }
     }
+    landedOnProductRoute = false;
+  }
 
-    setupCarousel(carousel, carouselIndex) {
-        // Add click handlers for dots
-        carousel.dots.forEach((dot, index) => {
-            dot.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.goToSlide(carousel, index);
-                this.resetAutoSwipe(carousel);
-            });
-        });
-
-        // Add hover pause functionality
-        carousel.card.addEventListener('mouseenter', () => {
-            this.pauseAutoSwipe(carousel);
-        });
-
-        carousel.card.addEventListener('mouseleave', () => {
-            this.resumeAutoSwipe(carousel);
-        });
-
-        // Add touch/click functionality for manual swiping
-        let startX = 0;
-        let startY = 0;
-        let isSwipe = false;
-
-        const imageCarousel = carousel.card.querySelector('.perfume-image-carousel');
-
-        imageCarousel.addEventListener('touchstart', (e) => {
-            startX = e.touches[0].clientX;
-            startY = e.touches[0].clientY;
-            isSwipe = false;
-            this.pauseAutoSwipe(carousel);
-        });
-
-        imageCarousel.addEventListener('touchmove', (e) => {
-            if (!startX || !startY) return;
-            
-            const diffX = Math.abs(e.touches[0].clientX - startX);
-            const diffY = Math.abs(e.touches[0].clientY - startY);
-            
-            if (diffX > diffY && diffX > 30) {
-                isSwipe = true;
-                e.preventDefault();
-            }
-        });
-
-        imageCarousel.addEventListener('touchend', (e) => {
-            if (!startX || !isSwipe) {
-                this.resumeAutoSwipe(carousel);
-                return;
-            }
-
-            const endX = e.changedTouches[0].clientX;
-            const diffX = startX - endX;
-
-            if (Math.abs(diffX) > 50) {
-                if (diffX > 0) {
-                    this.nextSlide(carousel);
-                } else {
-                    this.prevSlide(carousel);
-                }
-            }
-
-            startX = 0;
-            startY = 0;
-            isSwipe = false;
-            this.resetAutoSwipe(carousel);
-        });
+  // Close handlers
+  function bindProductModal() {
+    productDialog = new Dialog(productModal.querySelector('.modal-content'), {
+      root: productModal,
+      labelledBy: 'product-detail-title',
+      history: false,
+      onClose: hideProductModal
+    });
 
-        // Add click to advance functionality
-        imageCarousel.addEventListener('click', (e) => {
-            if (!isSwipe) {
-                this.nextSlide(carousel);
-                this.resetAutoSwipe(carousel);
-            }
-        });
-    }
+    const closeProduct = productModal.querySelector('#close-product');
+    closeProduct && closeProduct.addEventListener('click', closeProductModal);
+    productModal.addEventListener('click', (e) => {
+      if (e.target === productModal) closeProductModal();
+    });
+  }
+  productModal && bindProductModal();
 
-    goToSlide(carousel, index) {
-        // Remove active class from current image and dot
-        carousel.images[carousel.currentIndex].classList.remove('active');
-        carousel.dots[carousel.currentIndex].classList.remove('active');
+  // Reachable from other features (navbar search)
+  window.showProduct = showProduct;
 
-        // Update current index
-        carousel.currentIndex = index;
+});
+// ===== CAROUSELS =====
+// Every [data-carousel] runs on the shared Carousel component (carousel.js).
+// Perfume cards come from the catalog, so their carousels start once the
+// catalog sections are in the DOM.
 
-        // Add active class to new image and dot
-        carousel.images[carousel.currentIndex].classList.add('active');
-        carousel.dots[carousel.currentIndex].classList.add('active');
-    }
+document.addEventListener('DOMContentLoaded', () => Carousel.initAll());
+window.catalogRendered.then(() => Carousel.initAll());
 
-    nextSlide(carousel) {
-        const nextIndex = (carousel.currentIndex + 1) % carousel.images.length;
-        this.goToSlide(carousel, nextIndex);
-    }
+window.addEventListener('beforeunload', () => Carousel.destroyAll());
 
-    prevSlide(carousel) {
-        const prevIndex = carousel.currentIndex === 0 
-            ? carousel.images.length - 1 
-            : carousel.currentIndex - 1;
-        this.goToSlide(carousel, prevIndex);
+console.log('✅ Carousels loaded');
+// Debug function to test slider functionality
+window.testSlider = function(id = 'product-slider') {
+    const slider = Carousel.get(document.getElementById(id));
+    if (slider) {
+        console.log('Testing slider navigation...');
+        console.log('Current slide:', slider.index);
+        console.log('Total slides:', slider.slides.length);
+        
+        // Test next slide
+        setTimeout(() => {
+            slider.next();
+            console.log('Moved to slide:', slider.index);
+        }, 1000);
+    } else {
+        console.log('Slider not initialized');
     }
+};
 
-    startAutoSwipe(carousel) {
-        if (carousel.intervalId) {
-            clearInterval(carousel.intervalId);
-        }
-
-        carousel.intervalId = setInterval(() => {
-            if (!carousel.isPaused) {
-                this.nextSlide(carousel);
-            }
-        }, this.autoSwipeInterval);
-    }
+// ===== ADD TO CART BUTTONS =====
 
-    pauseAutoSwipe(carousel) {
-        carousel.isPaused = true;
-    }
+// Initialize all add to cart buttons when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    // Wait for the catalog-rendered product cards
+    window.catalogRendered.then(() => {
+        initializeAddToCartButtons();
+    });
+});
 
-    resumeAutoSwipe(carousel) {
-        carousel.isPaused = false;
-    }
+/**
+ * Bind every add to cart button on the page. Safe to call again after new
+ * cards are rendered: buttons that are already bound are skipped, so one
+ * click always adds exactly once.
+ */
+function initializeAddToCartButtons() {
+    const addToCartButtons = document.querySelectorAll('.perfume-add-btn, .thumb-add-btn');
 
-    resetAutoSwipe(carousel) {
-        this.startAutoSwipe(carousel);
-        carousel.isPaused = false;
-    }
+    addToCartButtons.forEach(btn => {
+        if (btn.hasAttribute('data-initialized')) return;
+        btn.setAttribute('data-initialized', 'true');
+        btn.addEventListener('click', handleAddToCart);
+    });
+    window.stockUI.decorate();
 
-    stopAllCarousels() {
-        this.carousels.forEach(carousel => {
-            if (carousel.intervalId) {
-                clearInterval(carousel.intervalId);
-            }
-        });
-    }
+    console.log(`✅ ${addToCartButtons.length} Add to Cart buttons ready`);
 }
 
-// Initialize perfume carousels when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Add a small delay to ensure all images are loaded
-    setTimeout(() => {
-        window.perfumeCarousel = new PerfumeCarousel();
-    }, 500);
-});
-
-// Clean up intervals when page is unloaded
-window.addEventListener('beforeunload', () => {
-    if (window.perfumeCarousel) {
-        window.perfumeCarousel.stopAllCarousels();
-    }
-});
-
-// Pause carousels when page is not visible (performance optimization)
-document.addEventListener('visibilitychange', () => {
-    if (window.perfumeCarousel) {
-        window.perfumeCarousel.carousels.forEach(carousel => {
-            if (document.hidden) {
-                carousel.isPaused = true;
-            } else {
-                carousel.isPaused = false;
-            }
-        });
-    }
-});
-// Body Mist Collection Carousel Functionality
-class MainCarousel {
-    constructor(carouselId) {
-        this.carousel = document.getElementById(carouselId);
-        if (!this.carousel) return;
-        
-        this.track = this.carousel.querySelector('.carousel-track');
-        this.slides = this.carousel.querySelectorAll('.carousel-slide');
-        this.prevBtn = this.carousel.querySelector('.carousel-btn.prev');
-        this.nextBtn = this.carousel.querySelector('.carousel-btn.next');
-        this.dots = this.carousel.querySelectorAll('.dot');
-        
-        this.currentIndex = 0;
-        this.totalSlides = this.slides.length;
-        
-        if (this.totalSlides > 0) {
-            this.init();
-        }
-    }
-    
-    init() {
-        // Set initial positions
-        this.setInitialState();
-        this.updateCarousel();
-        
-        // Add event listeners
-        if (this.prevBtn) {
-            this.prevBtn.addEventListener('click', () => this.prevSlide());
-        }
-        
-        if (this.nextBtn) {
-            this.nextBtn.addEventListener('click', () => this.nextSlide());
-        }
-        
-        // Add dot click handlers
-        this.dots.forEach((dot, index) => {
-            dot.addEventListener('click', () => this.goToSlide(index));
-        });
-        
-        // Add keyboard navigation
-        this.carousel.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowLeft') {
-                this.prevSlide();
-            } else if (e.key === 'ArrowRight') {
-                this.nextSlide();
-            }
-        });
-        
-        // Add touch/swipe support
-        this.addTouchSupport();
-        
-        // Auto-play functionality (optional)
-        this.startAutoPlay();
-    }
+function handleAddToCart(event) {
+    event.preventDefault();
+    event.stopPropagation();
     
-    setInitialState() {
-        // Ensure all slides are properly positioned initially
-        this.slides.forEach((slide, index) => {
-            slide.style.position = 'absolute';
-            slide.style.top = '0';
-            slide.style.left = '0';
-            slide.style.width = '100%';
-            slide.style.height = '100%';
-            
-            if (index === 0) {
-                slide.style.opacity = '1';
-                slide.classList.add('active');
-            } else {
-                slide.style.opacity = '0';
-                slide.classList.remove('active');
-            }
-        });
-        
-        // Set first dot as active
-        this.dots.forEach((dot, index) => {
-            dot.classList.toggle('active', index === 0);
-        });
-    }
+    const btn = event.currentTarget;
+    const id = btn.dataset.id;
     
-    updateCarousel() {
-        // Simple fade-based carousel
-        this.slides.forEach((slide, index) => {
-            if (index === this.currentIndex) {
-                slide.style.opacity = '1';
-                slide.classList.add('active');
-            } else {
-                slide.style.opacity = '0';
-                slide.classList.remove('active');
-            }
-        });
-        
-        // Update dots
-        this.dots.forEach((dot, index) => {
-            dot.classList.toggle('active', index === this.currentIndex);
-        });
+    if (!id) {
+        console.error('Missing product id on Add to Cart button');
+        return;
     }
     
-    goToSlide(index) {
-        this.currentIndex = index;
-        this.updateCarousel();
+    if (window.inventory.remaining(id) < 1) {
+        window.stockUI.update(btn);
+        window.cartUI.showToast(window.inventory.status(id) === 'out'
+            ? 'Sorry, this item is out of stock'
+            : 'You already have all we have in stock in your cart');
+        return;
     }
     
-    nextSlide() {
-        this.currentIndex = (this.currentIndex + 1) % this.totalSlides;
-        this.updateCarousel();
-    }
+    // Add visual feedback
+    btn.style.transform = 'scale(0.95)';
+    btn.style.background = '#1d4ed8';
     
-    prevSlide() {
-        this.currentIndex = this.currentIndex === 0 ? this.totalSlides - 1 : this.currentIndex - 1;
-        this.updateCarousel();
-    }
+    const originalText = btn.textContent;
+    btn.textContent = 'Adding...';
+    btn.disabled = true;
+    btn.dataset.busy = 'true';
     
-    addTouchSupport() {
-        let startX = 0;
-        let startY = 0;
-        let isSwipe = false;
-        
-        this.carousel.addEventListener('touchstart', (e) => {
-            startX = e.touches[0].clientX;
-            startY = e.touches[0].clientY;
-            isSwipe = false;
-        });
+    // Add to cart; the toast and badge update from the cart's change event
+    try {
+        window.cart.add(id, 1, { name: btn.dataset.name, price: btn.dataset.price });
         
-        this.carousel.addEventListener('touchmove', (e) => {
-            if (!startX || !startY) return;
-            
-            const diffX = Math.abs(e.touches[0].clientX - startX);
-            const diffY = Math.abs(e.touches[0].clientY - startY);
-            
-            if (diffX > diffY && diffX > 30) {
-                isSwipe = true;
-                e.preventDefault();
-            }
-        });
+        // Success feedback
+        btn.textContent = 'Added!';
+        btn.style.background = '#059669'; // Green for success
+    } catch (error) {
+        console.error('Error adding to cart:', error);
         
-        this.carousel.addEventListener('touchend', (e) => {
-            if (!startX || !isSwipe) return;
-            
-            const endX = e.changedTouches[0].clientX;
-            const diffX = startX - endX;
-            
-            if (Math.abs(diffX) > 50) {
-                if (diffX > 0) {
-                    this.nextSlide();
-                } else {
-                    this.prevSlide();
-                }
-            }
-            
-            startX = 0;
-            startY = 0;
-            isSwipe = false;
-        });
-    }
-    
-    startAutoPlay() {
-        // Auto-play every 5 seconds (optional)
-        setInterval(() => {
-            this.nextSlide();
-        }, 5000);
+        // Error feedback
+        btn.textContent = 'Error!';
+        btn.style.background = '#dc2626'; // Red for error
     }
     
-    // Method to stop auto-play if needed
-    stopAutoPlay() {
-        if (this.autoPlayInterval) {
-            clearInterval(this.autoPlayInterval);
-        }
-    }
+    // Reset button after 1.5 seconds
+    setTimeout(() => {
+        btn.textContent = originalText;
+        btn.style.transform = '';
+        btn.style.background = '';
+        btn.disabled = false;
+        delete btn.dataset.busy;
+        window.stockUI.update(btn);
+    }, 1500);
 }
 
-// Initialize carousels when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize main fragrance carousel
-    window.mainCarousel = new MainCarousel('main-carousel');
+// ===== STOCK =====
+// "Only N left" and "Out of stock" badges next to the add to cart buttons,
+// buttons disabled once the stock is used up, and a "notify me" form for
+// sold out products (inventory.js)
+window.stockUI = {
+    decorate: function(root = document) {
+        root.querySelectorAll('.perfume-add-btn[data-id], .thumb-add-btn[data-id], .haircare-btn[data-id]').forEach(btn => this.update(btn));
+    },
     
-    // Initialize body mist carousel
-    window.mistCarousel = new MainCarousel('mist-carousel');
+    update: function(btn) {
+        const id = btn.dataset.id;
+        if (!window.catalog.get(id) || btn.dataset.busy) return;
+        
+        const status = window.inventory.status(id);
+        if (!btn.dataset.label) btn.dataset.label = btn.textContent;
+        
+        let badge = btn.parentElement.querySelector(`.stock-badge[data-stock-for="${id}"]`);
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.dataset.stockFor = id;
+            btn.before(badge);
+        }
+        badge.className = `stock-badge stock-${status}`;
+        badge.textContent = window.inventory.label(id);
+        badge.hidden = status === 'in-stock';
+        
+        const soldOut = status === 'out';
+        const allInCart = !soldOut && window.inventory.remaining(id) < 1;
+        btn.disabled = soldOut || allInCart;
+        btn.textContent = soldOut ? 'Out of stock' : allInCart ? 'Max in cart' : btn.dataset.label;
+        btn.title = allInCart ? 'You have all the units we have in stock in your cart' : '';
+        
+        let notify = btn.parentElement.querySelector(`.notify-me-btn[data-id="${id}"]`);
+        if (soldOut && !notify) {
+            notify = document.createElement('button');
+            notify.type = 'button';
+            notify.className = 'btn notify-me-btn';
+            notify.dataset.id = id;
+            notify.setAttribute('aria-expanded', 'false');
+            notify.textContent = 'Notify me';
+            btn.after(notify);
+        }
+        if (notify) notify.hidden = !soldOut;
+    },
     
-    // Add a small delay to ensure all elements are properly loaded
-    setTimeout(() => {
-        // Re-initialize if needed
-        if (!window.mainCarousel && document.getElementById('main-carousel')) {
-            window.mainCarousel = new MainCarousel('main-carousel');
+    // Inline email form under the "Notify me" button
+    toggleForm: function(btn) {
+        const id = btn.dataset.id;
+        const existing = btn.parentElement.querySelector(`.notify-me-form[data-id="${id}"]`);
+        if (existing) {
+            existing.remove();
+            btn.setAttribute('aria-expanded', 'false');
+            return;
         }
         
-        if (!window.mistCarousel && document.getElementById('mist-carousel')) {
-            window.mistCarousel = new MainCarousel('mist-carousel');
+        const p = window.catalog.get(id);
+        const form = document.createElement('form');
+        form.className = 'notify-me-form';
+        form.dataset.id = id;
+        form.noValidate = true;
+        form.innerHTML = `
+            <label>Email me when ${escapeHtml(p.name)} is back in stock
+                <input type="email" name="email" autocomplete="email" placeholder="you@example.com">
+            </label>
+            <button type="submit" class="btn btn-primary">Notify me</button>
+            <span class="notify-me-message" role="status"></span>
+        `;
+        btn.after(form);
+        btn.setAttribute('aria-expanded', 'true');
+        form.elements.email.focus();
+    },
+    
+    submitForm: function(form) {
+        const message = form.querySelector('.notify-me-message');
+        const name = window.catalog.get(form.dataset.id).name;
+        const texts = {
+            'added': `Thanks! We will email you when ${name} is back in stock.`,
+            'queued': `Saved on this device. We cannot email you about ${name} yet, so please check back soon.`,
+            'failed': 'We could not sign you up just now. Please try again in a few minutes.',
+            'already-added': `You are already on the list for ${name}.`
+        };
+        window.inventory.notify(form.dataset.id, form.elements.email.value)
+            .then(result => {
+                message.textContent = texts[result.status];
+                message.classList.toggle('error', result.status === 'failed');
+                // Keep the address in the field so a failed sign-up can be retried
+                if (result.status !== 'failed') form.elements.email.value = '';
+            })
+            .catch(error => {
+                message.textContent = error.message;
+                message.classList.add('error');
+                form.elements.email.focus();
+            });
+    },
+    
+    // Tell the customer about lines that did not fit the stock: changes are
+    // [{ name, qty, allowed }] as inventory.validate() gives them, either
+    // trimmed in the cart or, with adding, added short
+    reportChanges: function(changes, adding = false) {
+        if (!changes.length) return;
+        
+        const change = changes[0];
+        let message;
+        if (changes.length > 1) {
+            message = adding
+                ? `Not everything could be added: ${changes.map(c => `${c.name} (${c.allowed} of ${c.qty})`).join(', ')}`
+                : `${changes.length} items in your cart were updated to match our stock`;
+        } else if (adding) {
+            message = change.allowed
+                ? `Only ${change.allowed} of ${change.qty} × ${change.name} added; that is all we have in stock`
+                : `${change.name} is not available right now and was not added`;
+        } else {
+            message = change.allowed
+                ? `Only ${change.allowed} × ${change.name} left in stock; your cart was updated`
+                : `${change.name} is out of stock and was removed from your cart`;
         }
-    }, 1000);
-});
-
-// Clean up on page unload
-window.addEventListener('beforeunload', () => {
-    if (window.mainCarousel) {
-        window.mainCarousel.stopAutoPlay();
-    }
-    if (window.mistCarousel) {
-        window.mistCarousel.stopAutoPlay();
-    }
-});
-// Debug function to test slider functionality
-window.testSlider = function() {
-    if (window.productSlider) {
-        console.log('Testing slider navigation...');
-        console.log('Current slide:', window.productSlider.currentSlide);
-        console.log('Total slides:', window.productSlider.totalSlides);
-        
-        // Test next slide
-        setTimeout(() => {
-            window.productSlider.nextSlide();
-            console.log('Moved to slide:', window.productSlider.currentSlide);
-        }, 1000);
-    } else {
-        console.log('Slider not initialized');
-    }
-};
-
-// Enhanced initialization with better error handling
-document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
-        const sliderElement = document.getElementById('product-slider');
-        if (sliderElement) {
-            const slides = sliderElement.querySelectorAll('.slide');
-            console.log(`Found ${slides.length} slides`);
-            
-            slides.forEach((slide, index) => {
-                console.log(`Slide ${index}:`, slide.dataset.src, slide.dataset.alt);
-            });
-            
-            // Ensure first slide is active
-            slides.forEach((slide, index) => {
-                slide.classList.toggle('active', index === 0);
-            });
-            
-            console.log('Slider setup complete');
-        }
-    }, 500);
-});
-// ===== FIXED ADD TO CART BUTTON FUNCTIONALITY =====
-
-// Initialize all add to cart buttons when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('Initializing Add to Cart buttons...');
-    
-    // Wait a bit for all elements to be fully loaded
-    setTimeout(() => {
-        initializeAddToCartButtons();
-    }, 1000);
-});
-
-function initializeAddToCartButtons() {
-    // Find all add to cart buttons
-    const addToCartButtons = document.querySelectorAll('.perfume-add-btn');
-    console.log(`Found ${addToCartButtons.length} Add to Cart buttons`);
-    
-    addToCartButtons.forEach((btn, index) => {
-        console.log(`Initializing button ${index + 1}:`, {
-            id: btn.dataset.id,
-            name: btn.dataset.name,
-            price: btn.dataset.price
-        });
-        
-        // Remove any existing event listeners
-        btn.removeEventListener('click', handleAddToCart);
-        
-        // Add new event listener
-        btn.addEventListener('click', handleAddToCart);
-        
-        // Add visual feedback on hover
-        btn.addEventListener('mouseenter', () => {
-            btn.style.transform = 'translateY(-1px)';
-            btn.style.boxShadow = '0 6px 20px rgba(30, 58, 138, 0.4)';
-        });
-        
-        btn.addEventListener('mouseleave', () => {
-            btn.style.transform = '';
-            btn.style.boxShadow = '';
-        });
-    });
-    
-    console.log('All Add to Cart buttons initialized successfully');
-}
-
-function handleAddToCart(event) {
-    event.preventDefault();
-    event.stopPropagation();
-    
-    const btn = event.target;
-    const id = btn.dataset.id;
-    const name = btn.dataset.name;
-    const price = btn.dataset.price;
-    
-    console.log('Add to Cart clicked:', { id, name, price });
-    
-    if (!id || !name || !price) {
-        console.error('Missing product data:', { id, name, price });
-        alert('Error: Product information is missing');
-        return;
-    }
-    
-    // Add visual feedback
-    btn.style.transform = 'scale(0.95)';
-    btn.style.background = '#1d4ed8';
-    
-    const originalText = btn.textContent;
-    btn.textContent = 'Adding...';
-    btn.disabled = true;
+        window.cartUI.showToast(message);
+    },
     
-    // Add to cart
-    try {
-        addToCart(id, name, price, 1);
-        
-        // Success feedback
-        btn.textContent = 'Added!';
-        btn.style.background = '#059669'; // Green for success
-        
-        // Show success toast
-        showCartToast(`${name} added to cart!`);
-        
-        // Reset button after 1.5 seconds
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.style.transform = '';
-            btn.style.background = '#1e3a8a';
-            btn.disabled = false;
-        }, 1500);
-        
-    } catch (error) {
-        console.error('Error adding to cart:', error);
-        
-        // Error feedback
-        btn.textContent = 'Error!';
-        btn.style.background = '#dc2626'; // Red for error
-        
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.style.transform = '';
-            btn.style.background = '#1e3a8a';
-            btn.disabled = false;
-        }, 1500);
+    revalidateCart: function() {
+        this.reportChanges(window.inventory.revalidateCart());
     }
-}
+};
 
-// Enhanced cart toast function
-function showCartToast(message) {
-    // Remove existing toast
-    const existingToast = document.querySelector('.cart-toast');
-    if (existingToast) {
-        existingToast.remove();
+document.addEventListener('click', (e) => {
+    const btn = e.target.closest('.notify-me-btn');
+    if (btn) {
+        e.preventDefault();
+        e.stopPropagation();
+        window.stockUI.toggleForm(btn);
     }
-    
-    // Create toast element
-    const toast = document.createElement('div');
-    toast.className = 'cart-toast';
-    toast.innerHTML = `
-        <div style="display: flex; align-items: center; gap: 8px;">
-            <span style="color: #059669; font-size: 1.2rem;">✓</span>
-            <span>${message}</span>
-        </div>
-    `;
-    
-    // Style the toast
-    Object.assign(toast.style, {
-        position: 'fixed',
-        top: '100px',
-        right: '20px',
-        background: '#1e3a8a',
-        color: 'white',
-        padding: '12px 20px',
-        borderRadius: '25px',
-        boxShadow: '0 4px 20px rgba(30, 58, 138, 0.3)',
-        zIndex: '10000',
-        transform: 'translateX(100%)',
-        transition: 'all 0.3s ease',
-        fontWeight: '500',
-        fontSize: '0.9rem'
-    });
-    
-    document.body.appendChild(toast);
-    
-    // Animate in
-    setTimeout(() => {
-        toast.style.transform = 'translateX(0)';
-    }, 100);
-    
-    // Animate out and remove
-    setTimeout(() => {
-        toast.style.transform = 'translateX(100%)';
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-            }
-        }, 300);
-    }, 3000);
-}
+});
 
-// Make sure cart functions are available
-function ensureCartFunctions() {
-    // If addToCart function doesn't exist, create it
-    if (typeof addToCart !== 'function') {
-        window.addToCart = function(id, name, price, qty = 1) {
-            const cart = getCart();
-            if (!cart[id]) {
-                cart[id] = { id, name, price: Number(price), qty: 0 };
-            }
-            cart[id].qty += qty;
-            saveCart(cart);
-            updateCartCountUI();
-        };
-    }
-    
-    // If getCart function doesn't exist, create it
-    if (typeof getCart !== 'function') {
-        window.getCart = function() {
-            try {
-                return JSON.parse(localStorage.getItem('cart') || '{}');
-            } catch (e) {
-                return {};
-            }
-        };
-    }
-    
-    // If saveCart function doesn't exist, create it
-    if (typeof saveCart !== 'function') {
-        window.saveCart = function(cart) {
-            localStorage.setItem('cart', JSON.stringify(cart));
-            updateCartCountUI();
-        };
-    }
-    
-    // If updateCartCountUI function doesn't exist, create it
-    if (typeof updateCartCountUI !== 'function') {
-        window.updateCartCountUI = function() {
-            const cartCount = document.getElementById('cart-count');
-            if (cartCount) {
-                const cart = getCart();
-                const count = Object.values(cart).reduce((sum, item) => sum + (item.qty || 0), 0);
-                cartCount.textContent = count;
-                
-                // Add animation
-                cartCount.style.transform = 'scale(1.2)';
-                setTimeout(() => {
-                    cartCount.style.transform = '';
-                }, 200);
-            }
-        };
+document.addEventListener('submit', (e) => {
+    if (e.target.classList.contains('notify-me-form')) {
+        e.preventDefault();
+        window.stockUI.submitForm(e.target);
     }
-}
-
-// Initialize everything when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    ensureCartFunctions();
-    
-    // Initialize cart count
-    updateCartCountUI();
-    
-    console.log('Cart system initialized');
 });
 
+// Buttons follow what is in the cart; the cart is checked against the
+// stock on every page load
+window.cart.subscribe(() => window.stockUI.decorate());
+window.catalog.ready.then(() => window.stockUI.revalidateCart());
+window.inventory.flushAlerts();
+
 // ===== ADDITIONAL BUTTON FUNCTIONALITY =====
 
 function initializeProductButtons() {
@@ -1542,64 +872,21 @@ function initializeProductButtons() {
     });
 }
 
-function initializeCartButtons() {
-    // Ensure cart button is functional
-    const cartBtn = document.getElementById('cart-btn');
-    if (cartBtn && !cartBtn.hasAttribute('data-initialized')) {
-        cartBtn.setAttribute('data-initialized', 'true');
-        cartBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            
-            // Add visual feedback
-            cartBtn.style.transform = 'scale(0.95)';
-            
-            setTimeout(() => {
-                openCartModal();
-                cartBtn.style.transform = '';
-            }, 150);
-        });
-    }
-}
-
-// ===== SIMPLIFIED WORKING CART FUNCTIONALITY =====
+// ===== CART UI =====
+// The badge, toasts and cart modal all render from window.cart (cart.js)
+// and refresh through its change events.
 
-// Global cart functions
-window.cart = {
-    items: {},
-    
-    // Get cart from localStorage
-    getCart: function() {
-        try {
-            return JSON.parse(localStorage.getItem('cart') || '{}');
-        } catch (e) {
-            return {};
-        }
-    },
-    
-    // Save cart to localStorage
-    saveCart: function(cartData) {
-        localStorage.setItem('cart', JSON.stringify(cartData));
-        this.updateCartCount();
-    },
-    
-    // Add item to cart
-    addItem: function(id, name, price, qty = 1) {
-        const cartData = this.getCart();
-        if (!cartData[id]) {
-            cartData[id] = { id, name, price: Number(price), qty: 0 };
-        }
-        cartData[id].qty += qty;
-        this.saveCart(cartData);
-        this.showToast(`${name} added to cart!`);
-    },
+window.cartUI = {
+    overlay: null,
+    view: 'cart', // 'cart', 'checkout', 'pay' (UPI) or 'sent'
+    lastOrder: null,
+    toastTimer: null,
     
     // Update cart count in UI
-    updateCartCount: function() {
-        const cartData = this.getCart();
-        const count = Object.values(cartData).reduce((sum, item) => sum + (item.qty || 0), 0);
+    updateBadge: function() {
         const countEl = document.getElementById('cart-count');
         if (countEl) {
-            countEl.textContent = count;
+            countEl.textContent = window.cart.count();
             // Add bounce animation
             countEl.style.transform = 'scale(1.2)';
             setTimeout(() => {
@@ -1609,7 +896,18 @@ window.cart = {
     },
     
     // Show toast notification
+    // The message is plain text, never HTML
     showToast: function(message) {
+        // Pages can provide their own toast element (e.g. #haircare-toast)
+        const pageToast = document.querySelector('[data-cart-toast]');
+        if (pageToast) {
+            pageToast.textContent = message;
+            pageToast.classList.add('show');
+            clearTimeout(this.toastTimer);
+            this.toastTimer = setTimeout(() => pageToast.classList.remove('show'), 3000);
+            return;
+        }
+        
         // Remove existing toast
         const existingToast = document.querySelector('.cart-toast');
         if (existingToast) {
@@ -1621,9 +919,10 @@ window.cart = {
         toast.innerHTML = `
             <div style="display: flex; align-items: center; gap: 8px;">
                 <span style="color: #059669; font-size: 1.2rem;">✓</span>
-                <span>${message}</span>
+                <span class="cart-toast-message"></span>
             </div>
         `;
+        toast.querySelector('.cart-toast-message').textContent = message;
         
         Object.assign(toast.style, {
             position: 'fixed',
@@ -1649,16 +948,19 @@ window.cart = {
         }, 3000);
     },
     
+    isOpen: function() {
+        return this.overlay !== null;
+    },
+    
     // Open cart modal
     openModal: function() {
-        console.log('Opening cart modal...');
-        
-        // Remove existing modal
-        const existingModal = document.querySelector('.cart-overlay');
-        if (existingModal) {
-            existingModal.remove();
+        if (this.overlay) {
+            this.renderModal();
+            return;
         }
         
+        const opener = document.activeElement;
+        
         // Create modal
         const overlay = document.createElement('div');
         overlay.className = 'cart-overlay';
@@ -1692,307 +994,582 @@ window.cart = {
             transition: transform 0.3s ease;
         `;
         
-        // Build modal content
-        const cartData = this.getCart();
-        const items = Object.keys(cartData);
-        let total = 0;
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+        this.dialog = new Dialog(modal, {
+            root: overlay,
+            labelledBy: 'cart-dialog-title',
+            onClose: () => this.removeOverlay()
+        });
+        this.renderModal();
+        
+        // Show modal with animation
+        setTimeout(() => {
+            overlay.style.opacity = '1';
+            modal.style.transform = 'scale(1)';
+        }, 10);
+        
+        // Close on outside click
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.closeModal();
+            }
+        });
+        
+        // Quantity, remove, close and checkout buttons
+        modal.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            if (actionBtn) {
+                this.handleAction(actionBtn.dataset.action, actionBtn.dataset.id);
+            }
+        });
+        
+        // Delivery charge and total follow the PIN code and state as they are typed
+        modal.addEventListener('input', (e) => {
+            const form = e.target.form;
+            if (form && form.classList.contains('checkout-form') && ['pincode', 'state'].includes(e.target.name)) {
+                this.updateCheckoutSummary(form);
+            }
+        });
+        
+        // Picking a saved address fills in the form
+        modal.addEventListener('change', (e) => {
+            if (e.target.name === 'saved-address') {
+                this.fillAddress(e.target.form, e.target.value);
+            }
+        });
+        
+        // Checkout form and UPI reference form
+        modal.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.classList.contains('upi-reference-form')) {
+                this.submitPayment(e.target);
+            } else {
+                this.submitCheckout(e.target);
+            }
+        });
+        
+        // Focus trap, Escape, back button and focus return (dialog.js)
+        this.dialog.open(opener);
+    },
+    
+    // Build modal content for the current view
+    renderModal: function() {
+        const modal = this.overlay && this.overlay.querySelector('.cart-modal');
+        if (!modal) return;
+        
+        // Re-rendering replaces the focused button; remember which one it was
+        const active = document.activeElement;
+        const hadFocus = modal.contains(active) && active !== modal;
+        const focusKey = hadFocus && active.dataset.action
+            ? `[data-action="${active.dataset.action}"]${active.dataset.id ? `[data-id="${active.dataset.id}"]` : ''}`
+            : null;
+        
+        modal.innerHTML = this.renderView();
+        
+        if (hadFocus && !modal.contains(document.activeElement)) {
+            const again = focusKey && modal.querySelector(focusKey);
+            (again || modal).focus();
+        }
+    },
+    
+    // Markup of the current view: cart, checkout form, UPI payment or order sent
+    renderView: function() {
+        if (this.view === 'checkout') {
+            return this.renderCheckoutForm();
+        }
+        
+        if (this.view === 'pay') {
+            return this.renderPayment();
+        }
+        
+        if (this.view === 'sent') {
+            return this.renderOrderSent();
+        }
+        
+        const items = window.cart.items();
         
         let itemsHTML = '';
         if (items.length === 0) {
             itemsHTML = '<p style="text-align: center; color: #666; padding: 2rem;">Your cart is empty.</p>';
         } else {
-            items.forEach(id => {
-                const item = cartData[id];
+            items.forEach(item => {
                 const lineTotal = item.price * item.qty;
-                total += lineTotal;
+                
+                const canAddMore = window.inventory.remaining(item.id) > 0;
+                const stockLabel = window.catalog.get(item.id) ? window.inventory.label(item.id) : '';
                 
                 itemsHTML += `
                     <div style="display: flex; align-items: center; justify-content: space-between; padding: 1rem 0; border-bottom: 1px solid #eee;">
                         <div style="flex: 1;">
-                            <strong style="display: block; margin-bottom: 4px;">${item.name}</strong>
-                            <div style="color: #666;">₹${item.price} each</div>
+                            <strong style="display: block; margin-bottom: 4px;">${escapeHtml(item.name)}</strong>
+                            ${stockLabel ? `<div style="color: #b45309; font-size: 0.85rem; margin-bottom: 4px;">${stockLabel}</div>` : ''}
+                            ${item.components ? `<div style="color: #666; font-size: 0.85rem; margin-bottom: 4px;">Includes: ${item.components.map(part => escapeHtml(part.name)).join(', ')}</div>` : ''}
+                            <div style="color: #666;">${formatRupee(item.price)} each</div>
                         </div>
                         <div style="display: flex; align-items: center; gap: 8px;">
-                            <button onclick="window.cart.updateQty('${id}', -1)" style="background: #1e3a8a; color: white; border: none; width: 30px; height: 30px; border-radius: 4px; cursor: pointer;">-</button>
+                            <button data-action="dec" data-id="${item.id}" aria-label="Decrease quantity" style="background: #1e3a8a; color: white; border: none; width: 30px; height: 30px; border-radius: 4px; cursor: pointer;">-</button>
                             <div style="min-width: 30px; text-align: center; font-weight: bold;">${item.qty}</div>
-                            <button onclick="window.cart.updateQty('${id}', 1)" style="background: #1e3a8a; color: white; border: none; width: 30px; height: 30px; border-radius: 4px; cursor: pointer;">+</button>
-                            <div style="margin-left: 12px; font-weight: bold;">₹${lineTotal}</div>
-                            <button onclick="window.cart.removeItem('${id}')" style="background: #dc2626; color: white; border: none; padding: 4px 8px; border-radius: 4px; cursor: pointer; margin-left: 8px;">Remove</button>
+                            <button data-action="inc" data-id="${item.id}" aria-label="Increase quantity"${canAddMore ? '' : ' disabled title="No more in stock"'} style="background: #1e3a8a; color: white; border: none; width: 30px; height: 30px; border-radius: 4px; cursor: ${canAddMore ? 'pointer' : 'not-allowed'}; opacity: ${canAddMore ? '1' : '0.4'};">+</button>
+                            <div style="margin-left: 12px; font-weight: bold;">${formatRupee(lineTotal)}</div>
+                            <button data-action="remove" data-id="${item.id}" style="background: #dc2626; color: white; border: none; padding: 4px 8px; border-radius: 4px; cursor: pointer; margin-left: 8px;">Remove</button>
                         </div>
                     </div>
                 `;
             });
         }
         
-        modal.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-                <h4 style="margin: 0; color: #1e3a8a; font-size: 1.5rem;">Your Cart</h4>
-                <button onclick="window.cart.closeModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #666; padding: 5px; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center;">&times;</button>
-            </div>
+        return `
+            ${this.renderHeader('Your Cart')}
             <div class="cart-items">
                 ${itemsHTML}
             </div>
-            <div style="font-weight: 700; margin: 16px 0; text-align: right; font-size: 1.2rem; color: #1e3a8a;">
-                Total: ₹${total.toLocaleString('en-IN')}
-            </div>
+            ${items.length ? this.renderTotals(window.checkout.pricing(items)) : ''}
             <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
-                <button onclick="window.cart.closeModal()" style="background: #6b7280; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; transition: all 0.3s ease;">Close</button>
-                <button onclick="window.cart.checkout()" style="background: #1e3a8a; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; transition: all 0.3s ease;">Checkout</button>
+                <button data-action="close" style="background: #6b7280; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; transition: all 0.3s ease;">Close</button>
+                <button data-action="checkout" id="checkout-btn" style="background: #1e3a8a; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; transition: all 0.3s ease;">Checkout</button>
             </div>
         `;
+    },
+    
+    // Subtotal, promotion discount lines, delivery, GST and grand total
+    renderTotals: function(pricing) {
+        const delivery = pricing.delivery;
+        const deliveryLabel = pricing.shipping && delivery
+            ? `Delivery <small style="color: #666;">(${delivery.estimated ? 'estimate, ' : ''}${escapeHtml(delivery.label)}, ${window.shipping.formatWeight(delivery.weight)})</small>`
+            : 'Delivery';
+        const row = (label, value, color = '#333') => `
+            <div style="display: flex; justify-content: space-between; padding: 4px 0; color: ${color};">
+                <span>${label}</span><span>${value}</span>
+            </div>
+        `;
+        const discountRows = pricing.discounts
+            .map(discount => row(escapeHtml(discount.label), `−${formatRupee(discount.amount)}`, '#16a34a'))
+            .join('');
+        
+        return `
+            <div class="cart-totals" style="margin: 16px 0;">
+                ${row('Subtotal', formatRupee(pricing.subtotal))}
+                ${discountRows}
+                ${row(deliveryLabel, pricing.shipping ? formatRupee(pricing.shipping) : 'FREE', pricing.shipping ? '#333' : '#16a34a')}
+                ${this.renderFreeDelivery(pricing)}
+                ${pricing.tax ? this.renderTax(pricing.tax) : ''}
+                <div style="font-weight: 700; margin-top: 8px; text-align: right; font-size: 1.2rem; color: #1e3a8a;">
+                    Total: ${formatRupee(pricing.total)}
+                </div>
+            </div>
+        `;
+    },
+    
+    // "Add ₹X more" hint with a progress bar towards the free delivery offer
+    renderFreeDelivery: function(pricing) {
+        const threshold = pricing.freeShippingThreshold;
+        if (!threshold || !pricing.delivery || !pricing.delivery.charge) return '';
         
-        overlay.appendChild(modal);
-        document.body.appendChild(overlay);
-        
-        // Show modal with animation
-        setTimeout(() => {
-            overlay.style.opacity = '1';
-            modal.style.transform = 'scale(1)';
-        }, 10);
-        
-        // Close on outside click
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) {
-                this.closeModal();
-            }
-        });
-        
-        // Close on ESC key
-        const handleEsc = (e) => {
-            if (e.key === 'Escape') {
-                this.closeModal();
-                document.removeEventListener('keydown', handleEsc);
-            }
-        };
-        document.addEventListener('keydown', handleEsc);
+        const spent = pricing.subtotal - pricing.discountTotal;
+        const remaining = threshold - spent;
+        if (remaining <= 0) {
+            return '<div class="free-delivery-progress" style="color: #16a34a; font-size: 0.9rem; padding: 4px 0;">🎉 Your order gets FREE delivery!</div>';
+        }
         
-        console.log('Cart modal opened successfully');
+        const percent = Math.min(100, Math.round(spent / threshold * 100));
+        return `
+            <div class="free-delivery-progress" style="font-size: 0.9rem; padding: 4px 0 8px;">
+                <div>Add <strong>${formatRupee(remaining)}</strong> more for FREE delivery</div>
+                <div role="progressbar" aria-label="Progress towards free delivery" aria-valuemin="0" aria-valuemax="${threshold}" aria-valuenow="${spent}" style="height: 6px; background: #e5e7eb; border-radius: 3px; overflow: hidden; margin-top: 4px;">
+                    <div style="width: ${percent}%; height: 100%; background: #16a34a;"></div>
+                </div>
+            </div>
+        `;
     },
     
-    // Close cart modal
-    closeModal: function() {
-        console.log('Closing cart modal...');
-        const overlay = document.querySelector('.cart-overlay');
-        if (overlay) {
-            overlay.style.opacity = '0';
-            const modal = overlay.querySelector('.cart-modal');
-            if (modal) {
-                modal.style.transform = 'scale(0.9)';
-            }
-            setTimeout(() => {
-                if (overlay.parentNode) {
-                    overlay.parentNode.removeChild(overlay);
-                }
-            }, 300);
-        }
+    // Taxable value and GST; with tax-inclusive prices it is already part of
+    // the amounts above, so it is shown as a note
+    renderTax: function(tax) {
+        const color = tax.inclusive ? '#666' : '#333';
+        const money = (amount) => (amount < 0 ? `−${formatRupee(-amount)}` : formatRupee(amount));
+        const rows = [
+            { label: 'Taxable value', amount: tax.taxable },
+            ...window.gst.splitRows(tax),
+            ...(tax.roundOff ? [{ label: 'Round off', amount: tax.roundOff }] : [])
+        ];
+        
+        return `
+            <div class="cart-tax" style="margin-top: 8px; padding-top: 8px; border-top: 1px dashed #ddd; font-size: ${tax.inclusive ? '0.85rem' : '1rem'};">
+                ${tax.inclusive ? `<div style="color: ${color};">Prices include GST${tax.placeOfSupply ? ` (delivery to ${escapeHtml(tax.placeOfSupply)})` : ''}:</div>` : ''}
+                ${rows.map(r => `
+                    <div style="display: flex; justify-content: space-between; padding: 2px 0; color: ${color};">
+                        <span>${r.label}</span><span>${money(r.amount)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     },
     
-    // Update item quantity
-    updateQty: function(id, delta) {
-        const cartData = this.getCart();
-        if (cartData[id]) {
-            cartData[id].qty += delta;
-            if (cartData[id].qty <= 0) {
-                delete cartData[id];
-            }
-            this.saveCart(cartData);
-            this.openModal(); // Refresh modal
-        }
+    renderHeader: function(title) {
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                <h4 id="cart-dialog-title" style="margin: 0; color: #1e3a8a; font-size: 1.5rem;">${title}</h4>
+                <button data-action="close" aria-label="Close cart" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #666; padding: 5px; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center;">&times;</button>
+            </div>
+        `;
     },
     
-    // Remove item from cart
-    removeItem: function(id) {
-        const cartData = this.getCart();
-        if (cartData[id]) {
-            delete cartData[id];
-            this.saveCart(cartData);
-            this.showToast('Item removed from cart');
-            this.openModal(); // Refresh modal
-        }
+    // Customer details form shown after pressing Checkout
+    renderCheckoutForm: function() {
+        const saved = window.checkout.savedCustomer();
+        const addresses = window.addressBook.all();
+        const fieldStyle = 'width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit; margin-top: 4px;';
+        const errorStyle = 'display: block; color: #dc2626; font-size: 0.85rem; min-height: 1em;';
+        const upiEnabled = window.upi.enabled();
+        
+        return `
+            ${this.renderHeader('Checkout')}
+            <form class="checkout-form" novalidate>
+                <p style="color: #666; margin-bottom: 12px;">
+                    <span class="checkout-summary" aria-live="polite">${this.renderCheckoutSummary(saved)}</span>
+                    Your order will be sent to us on WhatsApp.
+                </p>
+                ${addresses.length ? `
+                    <fieldset class="saved-addresses" style="border: 1px solid #ddd; border-radius: 6px; padding: 8px 12px; margin-bottom: 12px;">
+                        <legend style="padding: 0 4px;">Deliver to</legend>
+                        ${addresses.map(entry => `
+                            <div style="display: flex; gap: 8px; align-items: flex-start; margin: 6px 0;">
+                                <label style="flex: 1;"><input type="radio" name="saved-address" value="${escapeHtml(entry.id)}"${entry.id === saved.id ? ' checked' : ''}> <strong>${escapeHtml(entry.name)}</strong>, ${window.addressBook.format(entry).map(escapeHtml).join(', ')}</label>
+                                <button type="button" data-action="address-remove" data-id="${escapeHtml(entry.id)}" aria-label="Remove address of ${escapeHtml(entry.name)}" style="background: none; color: #dc2626; border: none; cursor: pointer; font-size: 0.85rem;">Remove</button>
+                            </div>
+                        `).join('')}
+                        <label style="display: block; margin: 6px 0;"><input type="radio" name="saved-address" value=""> A new address</label>
+                    </fieldset>
+                ` : ''}
+                <label style="display: block; margin-bottom: 8px;">Name
+                    <input name="name" type="text" autocomplete="name" value="${escapeHtml(saved.name)}" style="${fieldStyle}">
+                    <span data-error-for="name" style="${errorStyle}"></span>
+                </label>
+                <label style="display: block; margin-bottom: 8px;">Mobile number
+                    <input name="phone" type="tel" autocomplete="tel" value="${escapeHtml(saved.phone)}" style="${fieldStyle}">
+                    <span data-error-for="phone" style="${errorStyle}"></span>
+                </label>
+                <label style="display: block; margin-bottom: 8px;">House no., street and area
+                    <textarea name="address" rows="2" autocomplete="street-address" style="${fieldStyle}">${escapeHtml(saved.address)}</textarea>
+                    <span data-error-for="address" style="${errorStyle}"></span>
+                </label>
+                <div style="display: flex; gap: 12px;">
+                    <label style="display: block; margin-bottom: 8px; flex: 1;">Town / City
+                        <input name="city" type="text" autocomplete="address-level2" value="${escapeHtml(saved.city)}" style="${fieldStyle}">
+                        <span data-error-for="city" style="${errorStyle}"></span>
+                    </label>
+                    <label style="display: block; margin-bottom: 8px; width: 40%;">PIN code
+                        <input name="pincode" type="text" inputmode="numeric" autocomplete="postal-code" maxlength="7" value="${escapeHtml(saved.pincode)}" style="${fieldStyle}">
+                        <span data-error-for="pincode" style="${errorStyle}"></span>
+                    </label>
+                </div>
+                <label style="display: block; margin-bottom: 8px;">State
+                    <select name="state" autocomplete="address-level1" style="${fieldStyle}">
+                        <option value="">Choose your state</option>
+                        ${window.gst.states.map(state => `<option value="${state.code}"${state.code === saved.state ? ' selected' : ''}>${state.name}</option>`).join('')}
+                    </select>
+                    <span data-error-for="state" style="${errorStyle}"></span>
+                </label>
+                ${upiEnabled ? `
+                    <fieldset style="border: 1px solid #ddd; border-radius: 6px; padding: 8px 12px; margin-bottom: 8px;">
+                        <legend style="padding: 0 4px;">Payment</legend>
+                        <label style="display: block; margin: 4px 0;"><input type="radio" name="payment" value="upi" checked> Pay now by UPI (GPay, PhonePe, Paytm…)</label>
+                        <label style="display: block; margin: 4px 0;"><input type="radio" name="payment" value="later"> Pay later, arranged on WhatsApp</label>
+                    </fieldset>
+                ` : ''}
+                <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
+                    <button type="button" data-action="back" style="background: #6b7280; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Back to cart</button>
+                    <button type="submit" style="background: ${upiEnabled ? '#1e3a8a' : '#25d366'}; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer;">${upiEnabled ? 'Place order' : 'Send order on WhatsApp'}</button>
+                </div>
+            </form>
+        `;
+    },
+    
+    // Item count, delivery charge and total for the address in the form
+    renderCheckoutSummary: function(destination) {
+        const pricing = window.checkout.pricing(window.cart.items(), destination);
+        const estimate = pricing.shipping && pricing.delivery && pricing.delivery.estimated ? ' (estimate)' : '';
+        return `${window.cart.count()} item(s) · Delivery ${pricing.shipping ? formatRupee(pricing.shipping) : 'FREE'}${estimate} · Total <strong>${formatRupee(pricing.total)}</strong>.`;
+    },
+    
+    updateCheckoutSummary: function(form) {
+        const summary = form.querySelector('.checkout-summary');
+        if (!summary) return;
+        summary.innerHTML = this.renderCheckoutSummary({
+            pincode: form.elements.pincode.value,
+            state: form.elements.state.value
+        });
+    },
+    
+    // Copy a saved address into the form; an empty id clears the address
+    // fields for a new one and keeps the name and number
+    fillAddress: function(form, id) {
+        const entry = window.addressBook.get(id);
+        const fields = entry ? ['name', 'phone', 'address', 'city', 'pincode', 'state'] : ['address', 'city', 'pincode', 'state'];
+        fields.forEach(field => {
+            form.elements[field].value = entry ? entry[field] || '' : '';
+        });
+        form.querySelectorAll('[data-error-for]').forEach(el => {
+            el.textContent = '';
+        });
+        this.updateCheckoutSummary(form);
+        if (!entry) form.elements.address.focus();
+    },
+    
+    // Confirmation shown once the order has been handed to WhatsApp
+    renderOrderSent: function() {
+        const order = this.lastOrder;
+        
+        return `
+            ${this.renderHeader('Order sent')}
+            <p style="margin-bottom: 12px;">Thank you, ${escapeHtml(order.customer.name)}! Order <strong>#${order.id}</strong> (${formatRupee(order.total)}) was opened in WhatsApp.</p>
+            <p style="color: #666; margin-bottom: 12px;">Please press send in WhatsApp if you have not already. We will confirm your order there.</p>
+            ${order.payment && order.payment.method === 'upi' ? `<p style="margin-bottom: 12px;">${order.payment.state === 'pending'
+                ? 'You can still pay by UPI from <a href="orders.html" style="color: #1e3a8a;">My Orders</a>.'
+                : `UPI reference ${escapeHtml(order.payment.reference)} received. We will confirm once the payment has reached us.`}</p>` : ''}
+            <p style="margin-bottom: 12px;"><a href="orders.html" style="color: #1e3a8a;">View all my orders</a></p>
+            <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;">
+                <button data-action="invoice-print" style="background: white; color: #1e3a8a; border: 1px solid #1e3a8a; padding: 8px 16px; border-radius: 6px; cursor: pointer;">Print invoice</button>
+                <button data-action="invoice-pdf" style="background: white; color: #1e3a8a; border: 1px solid #1e3a8a; padding: 8px 16px; border-radius: 6px; cursor: pointer;">Download PDF</button>
+            </div>
+            <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
+                <a href="${window.checkout.whatsappUrl(order)}" target="_blank" rel="noopener" style="background: #25d366; color: white; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Open WhatsApp again</a>
+                <button data-action="close" style="background: #1e3a8a; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Done</button>
+            </div>
+        `;
+    },
+    
+    submitCheckout: function(form) {
+        const customer = {
+            name: form.elements.name.value,
+            phone: form.elements.phone.value,
+            address: form.elements.address.value,
+            city: form.elements.city.value,
+            pincode: form.elements.pincode.value,
+            state: form.elements.state.value
+        };
+        
+        const errors = window.checkout.validateCustomer(customer);
+        form.querySelectorAll('[data-error-for]').forEach(el => {
+            el.textContent = errors[el.dataset.errorFor] || '';
+        });
+        
+        const firstInvalid = Object.keys(errors)[0];
+        if (firstInvalid) {
+            form.elements[firstInvalid].focus();
+            return;
+        }
+        
+        const paymentMethod = form.elements.payment ? form.elements.payment.value : 'later';
+        
+        try {
+            if (paymentMethod === 'upi') {
+                this.showPayment(window.checkout.createOrder(customer, 'upi'));
+                return;
+            }
+            this.lastOrder = window.checkout.placeOrder(customer, paymentMethod);
+            this.view = 'sent';
+            this.renderModal();
+        } catch (error) {
+            console.error('Checkout failed:', error);
+            this.showToast('Could not place your order. Please try again.');
+        }
+    },
+    
+    // UPI step for a created order: QR code, app link and the UTR form.
+    // Also opened from My Orders for orders still waiting for payment.
+    showPayment: function(order) {
+        this.lastOrder = order;
+        this.view = 'pay';
+        this.openModal();
+        
+        const field = this.overlay.querySelector('.upi-reference-form input');
+        if (field) field.focus();
+    },
+    
+    renderPayment: function() {
+        const order = this.lastOrder;
+        const intent = window.upi.intentUrl(order);
+        const fieldStyle = 'width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit; margin-top: 4px;';
+        
+        return `
+            ${this.renderHeader('Pay by UPI')}
+            <p style="margin-bottom: 12px;">Pay <strong>${formatRupee(order.payment.amount)}</strong> for order <strong>#${order.id}</strong>. Scan the code with any UPI app, or open your UPI app on this phone.</p>
+            <div class="upi-qr" style="width: 220px; max-width: 100%; margin: 0 auto 12px;">${window.upi.qrSvg(order)}</div>
+            <p style="text-align: center; margin-bottom: 12px;">
+                <a href="${escapeHtml(intent)}" style="display: inline-block; background: #1e3a8a; color: white; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Open UPI app</a>
+            </p>
+            <p style="text-align: center; color: #666; margin-bottom: 16px;">UPI ID: <strong>${escapeHtml(window.siteConfig.upiId)}</strong></p>
+            <form class="upi-reference-form" novalidate>
+                <label style="display: block; margin-bottom: 8px;">UTR / UPI reference number
+                    <input name="reference" type="text" inputmode="numeric" autocomplete="off" maxlength="20" aria-describedby="upi-reference-hint" style="${fieldStyle}">
+                    <span data-error-for="reference" style="display: block; color: #dc2626; font-size: 0.85rem; min-height: 1em;"></span>
+                </label>
+                <p id="upi-reference-hint" style="color: #666; font-size: 0.85rem;">After paying, find the 12-digit number under the payment in your UPI app's history.</p>
+                <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px; flex-wrap: wrap;">
+                    <button type="button" data-action="pay-later" style="background: #6b7280; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Pay later</button>
+                    <button type="submit" style="background: #25d366; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer;">I have paid, send order</button>
+                </div>
+            </form>
+        `;
+    },
+    
+    // Record the UTR, then send the order with it on WhatsApp
+    submitPayment: function(form) {
+        const reference = form.elements.reference.value;
+        const error = window.upi.validateReference(reference);
+        form.querySelector('[data-error-for="reference"]').textContent = error;
+        if (error) {
+            form.elements.reference.setAttribute('aria-invalid', 'true');
+            form.elements.reference.focus();
+            return;
+        }
+        
+        this.lastOrder = window.checkout.sendOrder(window.upi.claim(this.lastOrder, reference));
+        this.view = 'sent';
+        this.renderModal();
     },
     
-    // Checkout function
-    checkout: function() {
-        alert('Checkout functionality would be implemented here. Cart items are saved in localStorage.');
-    }
-};
-
-// Legacy function compatibility
-window.addToCart = function(id, name, price, qty) {
-    window.cart.addItem(id, name, price, qty);
-};
-
-window.getCart = function() {
-    return window.cart.getCart();
-};
-
-window.saveCart = function(cartData) {
-    window.cart.saveCart(cartData);
-};
-
-window.updateCartCountUI = function() {
-    window.cart.updateCartCount();
-};
-
-window.openCartModal = function() {
-    window.cart.openModal();
-};
-
-window.closeCartModal = function() {
-    window.cart.closeModal();
-};
 
-// Initialize cart functionality
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('Initializing cart functionality...');
+    handleAction: function(action, id) {
+        const item = id ? window.cart.get(id) : null;
+        
+        switch (action) {
+            case 'dec':
+                if (item) window.cart.setQty(id, item.qty - 1);
+                break;
+            case 'inc':
+                if (item) window.cart.setQty(id, item.qty + 1);
+                break;
+            case 'remove':
+                window.cart.remove(id);
+                break;
+            case 'close':
+                this.closeModal();
+                break;
+            case 'checkout':
+                this.checkout();
+                break;
+            case 'back':
+                this.view = 'cart';
+                this.renderModal();
+                break;
+            case 'address-remove':
+                window.addressBook.remove(id);
+                this.renderModal();
+                break;
+            case 'pay-later':
+                this.lastOrder = window.checkout.sendOrder(this.lastOrder);
+                this.view = 'sent';
+                this.renderModal();
+                break;
+            case 'invoice-print':
+                window.invoice.print(this.lastOrder);
+                break;
+            case 'invoice-pdf':
+                window.invoice.download(this.lastOrder);
+                break;
+        }
+    },
     
-    // Initialize cart count
-    window.cart.updateCartCount();
+    // Close cart modal
+    closeModal: function() {
+        if (this.dialog) this.dialog.close();
+    },
     
-    // Initialize cart button
-    setTimeout(() => {
-        const cartBtn = document.getElementById('cart-btn');
-        if (cartBtn) {
-            console.log('Cart button found, adding event listener...');
-            
-            // Remove any existing listeners
-            cartBtn.replaceWith(cartBtn.cloneNode(true));
-            const newCartBtn = document.getElementById('cart-btn');
-            
-            newCartBtn.addEventListener('click', function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                console.log('Cart button clicked!');
-                
-                // Add visual feedback
-                newCartBtn.style.transform = 'scale(0.95)';
-                setTimeout(() => {
-                    newCartBtn.style.transform = '';
-                }, 150);
-                
-                // Open cart modal
-                window.cart.openModal();
-            });
-            
-            console.log('✅ Cart button initialized successfully');
-        } else {
-            console.log('❌ Cart button not found');
+    // Fade out and remove the overlay once the dialog has closed
+    removeOverlay: function() {
+        const overlay = this.overlay;
+        if (!overlay) return;
+        
+        this.overlay = null;
+        this.dialog = null;
+        this.view = 'cart';
+        
+        overlay.style.opacity = '0';
+        const modal = overlay.querySelector('.cart-modal');
+        if (modal) {
+            modal.style.transform = 'scale(0.9)';
         }
-    }, 1000);
+        setTimeout(() => {
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        }, 300);
+    },
     
-    console.log('✅ Cart functionality initialized');
-});
+    // Switch the modal to the checkout form
+    checkout: function() {
+        if (window.cart.count() === 0) {
+            this.showToast('Your cart is empty');
+            return;
+        }
+        
+        this.view = 'checkout';
+        this.renderModal();
+        
+        const firstField = this.overlay.querySelector('.checkout-form input');
+        if (firstField) firstField.focus();
+    }
+};
 
-function updateCartQty(id, delta) {
-    const cart = getCart();
-    if (!cart[id]) return;
+// Keep the badge, toasts and open modal in step with every cart change
+window.cart.subscribe((event) => {
+    window.cartUI.updateBadge();
     
-    cart[id].qty += delta;
-    if (cart[id].qty <= 0) {
-        delete cart[id];
+    if (event.type === 'add') {
+        const qtyLabel = event.qty > 1 ? `${event.qty} × ` : '';
+        window.cartUI.showToast(`${qtyLabel}${event.item.name} added to cart!`);
+    } else if (event.type === 'remove') {
+        window.cartUI.showToast('Item removed from cart');
     }
     
-    saveCart(cart);
-}
+    if (!window.cartUI.isOpen()) return;
+    
+    // Re-rendering the checkout form would wipe what the customer has typed,
+    // so only its totals follow the cart; an emptied cart goes back to the
+    // cart view
+    const form = window.cartUI.view === 'checkout' && window.cartUI.overlay.querySelector('.checkout-form');
+    if (form && window.cart.count() > 0) {
+        window.cartUI.updateCheckoutSummary(form);
+        return;
+    }
+    if (form) window.cartUI.view = 'cart';
+    window.cartUI.renderModal();
+});
 
-function removeFromCart(id) {
-    const cart = getCart();
-    if (cart[id]) {
-        delete cart[id];
-        saveCart(cart);
-        showCartToast('Item removed from cart');
+// Initialize cart badge and button
+document.addEventListener('DOMContentLoaded', function() {
+    window.cartUI.updateBadge();
+    
+    const cartBtn = document.getElementById('cart-btn');
+    if (cartBtn) {
+        cartBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Add visual feedback
+            cartBtn.style.transform = 'scale(0.95)';
+            setTimeout(() => {
+                cartBtn.style.transform = '';
+            }, 150);
+            
+            window.cartUI.openModal();
+        });
     }
-}
+    
+    console.log('✅ Cart functionality initialized');
+});
 
 // Initialize all functionality
 document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => {
         initializeProductButtons();
-        initializeCartButtons();
     }, 1200);
 });
 
-// Enhanced add to cart function with better feedback
-function addToCartEnhanced(id, name, price, qty = 1) {
-    const cart = getCart();
-    if (!cart[id]) {
-        cart[id] = { id, name, price: Number(price), qty: 0 };
-    }
-    cart[id].qty += qty;
-    saveCart(cart);
-    
-    // Show enhanced toast notification
-    showEnhancedCartToast(`${name} added to cart!`);
-    
-    // Update cart count with animation
-    updateCartCountWithAnimation();
-}
-
-function showEnhancedCartToast(text) {
-    // Remove existing toast
-    const existingToast = document.querySelector('.cart-toast');
-    if (existingToast) {
-        existingToast.remove();
-    }
-    
-    // Create new toast
-    const toast = document.createElement('div');
-    toast.className = 'cart-toast enhanced';
-    toast.innerHTML = `
-        <div class="toast-content">
-            <span class="toast-icon">✓</span>
-            <span class="toast-text">${text}</span>
-        </div>
-    `;
-    
-    // Add enhanced styling
-    toast.style.cssText = `
-        position: fixed;
-        top: 100px;
-        right: 20px;
-        background: #1e3a8a;
-        color: white;
-        padding: 12px 20px;
-        border-radius: 25px;
-        box-shadow: 0 4px 20px rgba(30, 58, 138, 0.3);
-        z-index: 10000;
-        transform: translateX(100%);
-        transition: all 0.3s ease;
-        font-weight: 500;
-    `;
-    
-    document.body.appendChild(toast);
-    
-    // Animate in
-    setTimeout(() => {
-        toast.style.transform = 'translateX(0)';
-    }, 100);
-    
-    // Animate out
-    setTimeout(() => {
-        toast.style.transform = 'translateX(100%)';
-        setTimeout(() => toast.remove(), 300);
-    }, 2000);
-}
-
-function updateCartCountWithAnimation() {
-    const countEl = document.getElementById('cart-count');
-    if (countEl) {
-        // Add bounce animation
-        countEl.style.transform = 'scale(1.3)';
-        countEl.style.background = '#1e3a8a';
-        
-        // Update count
-        countEl.textContent = getCartCount();
-        
-        // Reset animation
-        setTimeout(() => {
-            countEl.style.transform = '';
-            countEl.style.background = '';
-        }, 300);
-    }
-}
-
 // Initialize button hover effects
 document.addEventListener('DOMContentLoaded', () => {
     // Add enhanced hover effects to all buttons
@@ -2026,10 +1603,9 @@ window.testAddToCart = function() {
     
     // Test cart functions
     console.log('Testing cart functions...');
-    console.log('getCart:', typeof getCart);
-    console.log('saveCart:', typeof saveCart);
-    console.log('addToCart:', typeof addToCart);
-    console.log('updateCartCountUI:', typeof updateCartCountUI);
+    ['add', 'setQty', 'remove', 'clear', 'subscribe'].forEach(method => {
+        console.log(`cart.${method}:`, typeof window.cart[method]);
+    });
     
     console.log('✅ Add to cart test functions available - use manually if needed');
 };
@@ -2044,9 +1620,9 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Just check if functions exist, don't add test items
         console.log('Cart functions available:');
-        console.log('- addToCart:', typeof addToCart);
-        console.log('- getCart:', typeof getCart);
-        console.log('- updateCartCountUI:', typeof updateCartCountUI);
+        console.log('- cart.add:', typeof window.cart.add);
+        console.log('- cart.subscribe:', typeof window.cart.subscribe);
+        console.log('- cartUI.updateBadge:', typeof window.cartUI.updateBadge);
         
         console.log('✅ Add to Cart functionality ready');
     }, 2000);
@@ -2060,15 +1636,15 @@ window.testCartModal = function() {
     console.log('Testing cart modal functionality...');
     
     // Add a test item to cart
-    addToCart('test-item', 'Test Product', 999, 1);
+    window.cart.add('test-item', 1, { name: 'Test Product', price: 999 });
     
     // Open cart modal
     setTimeout(() => {
-        openCartModal();
+        window.cartUI.openModal();
         
         // Test close button after modal opens
         setTimeout(() => {
-            const closeButtons = document.querySelectorAll('.close-cart-btn');
+            const closeButtons = document.querySelectorAll('.cart-modal [data-action="close"]');
             console.log(`Found ${closeButtons.length} close buttons`);
             
             closeButtons.forEach((btn, index) => {
@@ -2099,9 +1675,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Test cart functions
         console.log('Cart functions available:');
-        console.log('- openCartModal:', typeof openCartModal);
-        console.log('- closeCartModal:', typeof closeCartModal);
-        console.log('- buildCartModal:', typeof buildCartModal);
+        console.log('- cartUI.openModal:', typeof window.cartUI.openModal);
+        console.log('- cartUI.closeModal:', typeof window.cartUI.closeModal);
         
     }, 2500);
 });
@@ -2118,90 +1693,49 @@ window.testCart = function() {
     console.log('Cart button found:', !!cartBtn);
     
     // Show current cart contents
-    const currentCart = window.cart.getCart();
+    const currentCart = window.cart.items();
     console.log('Current cart contents:', currentCart);
     
     // Test opening modal (without adding items)
     setTimeout(() => {
-        window.cart.openModal();
+        window.cartUI.openModal();
         console.log('Cart modal should be open now');
     }, 1000);
 };
 
 console.log('✅ Simplified cart system loaded successfully');
-// ===== SLIDER DOTS VERIFICATION =====
-
-// Verify slider dots match slide count
-document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
-        // Check product slider
-        const productSlider = document.getElementById('product-slider');
-        if (productSlider) {
-            const slides = productSlider.querySelectorAll('.slide');
-            const dots = productSlider.querySelectorAll('.dot');
-            console.log(`Product slider: ${slides.length} slides, ${dots.length} dots`);
-            
-            if (slides.length !== dots.length) {
-                console.warn('⚠️ Product slider: Slide count does not match dot count');
-            } else {
-                console.log('✅ Product slider: Slide and dot count match');
-            }
-        }
-        
-        // Check creams slider
-        const creamsSlider = document.getElementById('creams-slider');
-        if (creamsSlider) {
-            const slides = creamsSlider.querySelectorAll('.slide');
-            const dots = creamsSlider.querySelectorAll('.dot');
-            console.log(`Creams slider: ${slides.length} slides, ${dots.length} dots`);
-            
-            if (slides.length !== dots.length) {
-                console.warn('⚠️ Creams slider: Slide count does not match dot count');
-            } else {
-                console.log('✅ Creams slider: Slide and dot count match');
-            }
-        }
-    }, 2000);
-});
-
-console.log('✅ Slider dots verification loaded');
 // ===== CART CLEANUP =====
 
 // Function to remove test items from cart
 window.cleanupTestItems = function() {
-    const cart = window.cart.getCart();
-    let cleaned = false;
+    const testItems = findTestItems();
     
     // Remove any test items
-    Object.keys(cart).forEach(id => {
-        if (id.includes('test') || cart[id].name.includes('Test')) {
-            delete cart[id];
-            cleaned = true;
-        }
-    });
+    testItems.forEach(item => window.cart.remove(item.id));
     
-    if (cleaned) {
-        window.cart.saveCart(cart);
+    if (testItems.length > 0) {
         console.log('✅ Test items removed from cart');
-        window.cart.showToast('Test items removed from cart');
+        window.cartUI.showToast('Test items removed from cart');
     } else {
         console.log('No test items found in cart');
     }
 };
 
+function findTestItems() {
+    return window.cart.items().filter(item =>
+        item.id.includes('test') || item.name.includes('Test')
+    );
+}
+
 // Auto-cleanup test items on page load
 document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => {
         // Clean up any test items that might be in the cart
-        const cart = window.cart.getCart();
-        const testItems = Object.keys(cart).filter(id => 
-            id.includes('test') || cart[id].name.includes('Test')
-        );
+        const testItems = findTestItems();
         
         if (testItems.length > 0) {
             console.log(`Found ${testItems.length} test items in cart, removing...`);
-            testItems.forEach(id => delete cart[id]);
-            window.cart.saveCart(cart);
+            testItems.forEach(item => window.cart.remove(item.id));
             console.log('✅ Test items automatically cleaned up');
         }
     }, 500);
@@ -2253,24 +1787,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 nav.appendChild(fallbackCartBtn);
                 
                 // Initialize the fallback button
-                window.cart.updateCartCount();
+                fallbackCartBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    window.cartUI.openModal();
+                });
+                window.cartUI.updateBadge();
                 
                 console.log('✅ Fallback cart button created');
             }
         }
-        
-        // Test cart button click
-        const finalCartBtn = document.getElementById('cart-btn');
-        if (finalCartBtn) {
-            finalCartBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                console.log('Cart button clicked!');
-                window.cart.openModal();
-            });
-            
-            console.log('✅ Cart button click handler added');
-        }
-        
     }, 1000);
 });
 
@@ -2290,103 +1815,6 @@ window.showCartButton = function() {
 };
 
 console.log('✅ Cart button visibility fix loaded');
-// ===== COLLECTION-LEVEL ADD TO CART BUTTONS =====
-
-// Handle collection-level add to cart buttons (Buy Now -> Add to Cart conversion)
-document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
-        // Find collection-level add to cart buttons
-        const collectionButtons = document.querySelectorAll('.product-actions .perfume-add-btn');
-        
-        console.log(`Found ${collectionButtons.length} collection-level add to cart buttons`);
-        
-        collectionButtons.forEach((btn, index) => {
-            console.log(`Initializing collection button ${index + 1}:`, {
-                id: btn.dataset.id,
-                name: btn.dataset.name,
-                price: btn.dataset.price
-            });
-            
-            // Remove any existing event listeners
-            btn.removeEventListener('click', handleCollectionAddToCart);
-            
-            // Add new event listener
-            btn.addEventListener('click', handleCollectionAddToCart);
-            
-            // Add visual feedback on hover
-            btn.addEventListener('mouseenter', () => {
-                btn.style.transform = 'translateY(-1px)';
-                btn.style.boxShadow = '0 6px 20px rgba(30, 58, 138, 0.4)';
-            });
-            
-            btn.addEventListener('mouseleave', () => {
-                btn.style.transform = '';
-                btn.style.boxShadow = '';
-            });
-        });
-        
-        console.log('✅ Collection-level add to cart buttons initialized');
-    }, 1500);
-});
-
-function handleCollectionAddToCart(event) {
-    event.preventDefault();
-    event.stopPropagation();
-    
-    const btn = event.target;
-    const id = btn.dataset.id;
-    const name = btn.dataset.name;
-    const price = btn.dataset.price;
-    
-    console.log('Collection Add to Cart clicked:', { id, name, price });
-    
-    if (!id || !name || !price) {
-        console.error('Missing collection product data:', { id, name, price });
-        alert('Error: Product information is missing');
-        return;
-    }
-    
-    // Add visual feedback
-    btn.style.transform = 'scale(0.95)';
-    btn.style.background = '#1d4ed8';
-    
-    const originalText = btn.textContent;
-    btn.textContent = 'Adding...';
-    btn.disabled = true;
-    
-    // Add to cart
-    try {
-        window.cart.addItem(id, name, price, 1);
-        
-        // Success feedback
-        btn.textContent = 'Added!';
-        btn.style.background = '#059669'; // Green for success
-        
-        // Reset button after 2 seconds
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.style.transform = '';
-            btn.style.background = '#1e3a8a';
-            btn.disabled = false;
-        }, 2000);
-        
-    } catch (error) {
-        console.error('Error adding collection to cart:', error);
-        
-        // Error feedback
-        btn.textContent = 'Error!';
-        btn.style.background = '#dc2626'; // Red for error
-        
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.style.transform = '';
-            btn.style.background = '#1e3a8a';
-            btn.disabled = false;
-        }, 2000);
-    }
-}
-
-console.log('✅ Collection-level add to cart functionality loaded');
 // ===== OFFER BANNER VISIBILITY AND FUNCTIONALITY =====
 
 // Force banner visibility and functionality
@@ -2427,9 +1855,7 @@ document.addEventListener('DOMContentLoaded', () => {
             fallbackBanner.className = 'offer-banner';
             fallbackBanner.innerHTML = `
                 <div class="offer-scroll">
-                    <div class="offer-content">
-                        📞 Contact: +91 8778101432 | 💌 Email: sajjuhashim10@gmail.com | 🎉 TODAY'S SPECIAL: 25% OFF on All Fragrances | 💄 MEGA DEAL: Buy 2 Get 1 FREE on Skincare | 🌟 LIMITED TIME: 30% OFF Perfumed Creams | 📱 WhatsApp: +91 8778101432 for Instant Orders | 🚚 FREE Delivery on Orders Above ₹999 | 💝 FLASH SALE: Up to 40% OFF Today Only
-                    </div>
+                    <div class="offer-content"></div>
                 </div>
             `;
             
@@ -2439,23 +1865,11 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('✅ Fallback offer banner created');
         }
         
-        // Make contact information clickable
+        // Scheduled messages and contact links come from banner.js
         const finalOfferContent = document.querySelector('.offer-content');
         if (finalOfferContent) {
-            let content = finalOfferContent.innerHTML;
-            
-            // Replace phone numbers with clickable links
-            content = content.replace(/(\+91 8778101432)/g, '<a href="tel:+918778101432" style="color: white; text-decoration: none; font-weight: 600;">$1</a>');
-            
-            // Replace email with clickable link
-            content = content.replace(/(sajjuhashim10@gmail\.com)/g, '<a href="mailto:sajjuhashim10@gmail.com" style="color: white; text-decoration: none; font-weight: 600;">$1</a>');
-            
-            // Replace WhatsApp with clickable link
-            content = content.replace(/(WhatsApp: \+91 8778101432)/g, '<a href="https://wa.me/918778101432" target="_blank" style="color: white; text-decoration: none; font-weight: 600;">$1</a>');
-            
-            finalOfferContent.innerHTML = content;
-            
-            console.log('✅ Offer banner contact links activated');
+            window.offerBanner.render(finalOfferContent);
+            console.log('✅ Offer banner messages rendered');
         }
         
         // Adjust navbar position
@@ -2510,4 +1924,1062 @@ window.testBannerAnimation = function() {
     }
 };
 
-console.log('✅ Enhanced offer banner functionality loaded');
\ No newline at end of file
+console.log('✅ Enhanced offer banner functionality loaded');
+// ===== NAVBAR SEARCH =====
+// Instant results for every .nav-search box, ranked by window.productSearch
+// (search.js). Choosing a result opens it with showProduct.
+
+window.navSearch = {
+    debounceMs: 120,
+
+    init: function(box) {
+        const input = box.querySelector('.nav-search-input');
+        const results = box.querySelector('.nav-search-results');
+        if (!input || !results || box.dataset.initialized) return;
+        box.dataset.initialized = 'true';
+
+        const state = { matches: [], active: -1, timer: null };
+
+        input.addEventListener('input', () => {
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => this.update(input, results, state), this.debounceMs);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (!state.matches.length) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                state.active = (state.active + step + state.matches.length) % state.matches.length;
+                this.highlight(input, results, state);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const match = state.matches[Math.max(state.active, 0)];
+                if (match) this.select(match.product, input, results, state);
+            } else if (e.key === 'Escape') {
+                this.close(input, results, state);
+            }
+        });
+
+        results.addEventListener('mousedown', (e) => {
+            // mousedown fires before the input loses focus
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.select(state.matches[Number(option.dataset.index)].product, input, results, state);
+        });
+
+        input.addEventListener('blur', () => this.close(input, results, state));
+    },
+
+    update: function(input, results, state) {
+        const query = input.value.trim();
+        if (query.length < 2) {
+            this.close(input, results, state);
+            return;
+        }
+
+        state.matches = window.productSearch.search(query);
+        state.active = -1;
+
+        results.innerHTML = state.matches.length
+            ? state.matches.map(({ product: p }, i) => `
+                <li class="nav-search-result" id="${results.id}-${i}" role="option" data-index="${i}" aria-selected="false">
+                    <img src="${p.images[0]}" alt="" loading="lazy">
+                    <span class="nav-search-name">${escapeHtml(p.name)}</span>
+                    <span class="nav-search-price">${formatRupee(p.price)}</span>
+                </li>
+            `).join('')
+            : '<li class="nav-search-empty">No products found</li>';
+
+        results.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    },
+
+    highlight: function(input, results, state) {
+        results.querySelectorAll('[data-index]').forEach((option, i) => {
+            const isActive = i === state.active;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive);
+            if (isActive) input.setAttribute('aria-activedescendant', option.id);
+        });
+    },
+
+    select: function(product, input, results, state) {
+        input.value = '';
+        this.close(input, results, state);
+        input.blur();
+        window.showProduct(product);
+    },
+
+    close: function(input, results, state) {
+        clearTimeout(state.timer);
+        state.matches = [];
+        state.active = -1;
+        results.hidden = true;
+        results.innerHTML = '';
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.catalog.ready.then(() => {
+        document.querySelectorAll('.nav-search').forEach(box => window.navSearch.init(box));
+    });
+});
+
+console.log('✅ Navbar search loaded');
+
+// ===== WISHLIST UI =====
+// Heart toggles on product cards, the wishlist button next to #cart-btn and
+// the wishlist drawer. Everything renders from window.wishlist (wishlist.js).
+
+window.wishlistUI = {
+    overlay: null,
+    sharedIds: [], // set when the page was opened from a shared wishlist link
+
+    // Card selector -> element the heart is placed in
+    targets: {
+        '.perfume-card[data-product-id]': '.perfume-image-carousel',
+        '.product-card[data-product-id]': '.product-image',
+        '.product-box[data-product-id]': '.product-image-left'
+    },
+
+    // Add a heart to every product card under root that does not have one yet
+    decorate: function(root = document) {
+        Object.entries(this.targets).forEach(([cardSelector, holderSelector]) => {
+            root.querySelectorAll(cardSelector).forEach(card => {
+                const holder = card.querySelector(holderSelector) || card;
+                if (holder.querySelector('.wishlist-heart')) return;
+
+                const id = card.dataset.productId;
+                const p = window.catalog.get(id);
+                if (!p) return;
+
+                holder.insertAdjacentHTML('beforeend', `
+                    <button type="button" class="wishlist-heart" data-wishlist-id="${id}" aria-pressed="false" aria-label="Save ${escapeHtml(p.name)} to wishlist">♥</button>
+                `);
+            });
+        });
+        this.updateHearts();
+    },
+
+    updateHearts: function() {
+        document.querySelectorAll('.wishlist-heart').forEach(heart => {
+            const saved = window.wishlist.has(heart.dataset.wishlistId);
+            heart.classList.toggle('saved', saved);
+            heart.setAttribute('aria-pressed', saved);
+        });
+    },
+
+    updateBadge: function() {
+        const count = window.wishlist.ids().length;
+        document.querySelectorAll('.wishlist-count').forEach(badge => {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        });
+    },
+
+    // Make sure there is a wishlist button beside the cart button
+    ensureButton: function() {
+        let btn = document.getElementById('wishlist-btn');
+        if (!btn) {
+            const nav = document.querySelector('.nav-menu') || document.querySelector('nav');
+            if (!nav) return null;
+
+            btn = document.createElement('button');
+            btn.id = 'wishlist-btn';
+            btn.className = 'wishlist-btn';
+            btn.setAttribute('aria-label', 'View Wishlist');
+            btn.innerHTML = '♥ <span class="wishlist-count" id="wishlist-count">0</span>';
+
+            const cartBtn = document.getElementById('cart-btn');
+            if (cartBtn && nav.contains(cartBtn)) {
+                cartBtn.parentNode.insertBefore(btn, cartBtn);
+            } else {
+                nav.appendChild(btn);
+            }
+        }
+
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openDrawer();
+        });
+        return btn;
+    },
+
+    isOpen: function() {
+        return this.overlay !== null;
+    },
+
+    openDrawer: function() {
+        if (this.overlay) {
+            this.renderDrawer();
+            return;
+        }
+
+        const opener = document.activeElement;
+        const overlay = document.createElement('div');
+        overlay.className = 'wishlist-overlay';
+        overlay.innerHTML = `
+            <aside class="wishlist-drawer"></aside>
+        `;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.closeDrawer();
+                return;
+            }
+            const actionBtn = e.target.closest('[data-wishlist-action]');
+            if (actionBtn) {
+                this.handleAction(actionBtn.dataset.wishlistAction, actionBtn.dataset.id);
+            }
+        });
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+        this.dialog = new Dialog(overlay.querySelector('.wishlist-drawer'), {
+            root: overlay,
+            labelledBy: 'wishlist-title',
+            onClose: () => {
+                overlay.remove();
+                this.overlay = null;
+                this.dialog = null;
+            }
+        });
+        this.renderDrawer();
+        this.dialog.open(opener);
+    },
+
+    renderDrawer: function() {
+        const drawer = this.overlay && this.overlay.querySelector('.wishlist-drawer');
+        if (!drawer) return;
+
+        const shared = this.sharedIds.length > 0;
+        const products = shared
+            ? this.sharedIds.map(id => window.catalog.get(id)).filter(Boolean)
+            : window.wishlist.items();
+
+        const itemsHTML = products.length
+            ? products.map(p => `
+                <div class="wishlist-item">
+                    <img src="${p.images[0]}" alt="">
+                    <div class="wishlist-item-info">
+                        <strong>${escapeHtml(p.name)}</strong>
+                        <span>${formatRupee(p.price)}</span>
+                    </div>
+                    <div class="wishlist-item-actions">
+                        ${window.inventory.remaining(p.id) < 1
+                            ? `<button disabled>${window.inventory.status(p.id) === 'out' ? 'Out of stock' : 'Max in cart'}</button>`
+                            : shared
+                            ? `<button data-wishlist-action="add-to-cart" data-id="${p.id}">Add to cart</button>`
+                            : `<button data-wishlist-action="move" data-id="${p.id}">Move to cart</button>
+                               <button data-wishlist-action="remove" data-id="${p.id}" class="wishlist-remove" aria-label="Remove ${escapeHtml(p.name)} from wishlist">&times;</button>`}
+                    </div>
+                </div>
+            `).join('')
+            : '<p class="wishlist-empty">Your wishlist is empty. Tap the ♥ on a product to save it here.</p>';
+
+        const footer = shared
+            ? `<button data-wishlist-action="save-shared" class="wishlist-primary">Save to my wishlist</button>`
+            : products.length
+                ? `<button data-wishlist-action="share" class="wishlist-share">Share on WhatsApp</button>
+                   <button data-wishlist-action="move-all" class="wishlist-primary">Move all to cart</button>`
+                : '';
+
+        drawer.innerHTML = `
+            <div class="wishlist-header">
+                <h4 id="wishlist-title">${shared ? 'Shared Wishlist' : 'My Wishlist'}</h4>
+                <button data-wishlist-action="close" aria-label="Close wishlist" data-dialog-focus>&times;</button>
+            </div>
+            <div class="wishlist-items">${itemsHTML}</div>
+            <div class="wishlist-footer">${footer}</div>
+        `;
+    },
+
+    // cart.add throws for sold out and unknown products; say why instead
+    tryCart: function(action) {
+        try {
+            action();
+        } catch (error) {
+            console.error('Error adding wishlist item to cart:', error);
+            window.cartUI.showToast(error.message);
+        }
+    },
+
+    handleAction: function(action, id) {
+        switch (action) {
+            case 'move':
+                this.tryCart(() => window.wishlist.moveToCart(id));
+                break;
+            case 'remove':
+                window.wishlist.remove(id);
+                break;
+            case 'move-all': {
+                // Items that cannot be added (sold out, no longer sold) stay
+                // on the wishlist
+                const failed = window.wishlist.ids().filter(savedId => {
+                    try {
+                        window.wishlist.moveToCart(savedId);
+                        return false;
+                    } catch (error) {
+                        console.error('Error moving wishlist item to cart:', error);
+                        return true;
+                    }
+                });
+                this.closeDrawer();
+                window.cartUI.openModal();
+                if (failed.length) {
+                    const names = failed.map(savedId => (window.catalog.get(savedId) || { name: savedId }).name);
+                    window.cartUI.showToast(`Not available right now, kept on your wishlist: ${names.join(', ')}`);
+                }
+                break;
+            }
+            case 'add-to-cart':
+                this.tryCart(() => window.cart.add(id, 1));
+                break;
+            case 'save-shared':
+                this.sharedIds.slice().reverse().forEach(sharedId => window.wishlist.add(sharedId));
+                this.sharedIds = [];
+                this.renderDrawer();
+                window.cartUI.showToast('Saved to your wishlist');
+                break;
+            case 'share':
+                this.share();
+                break;
+            case 'close':
+                this.closeDrawer();
+                break;
+        }
+    },
+
+    share: function() {
+        const lines = window.wishlist.items().map(p => `• ${p.name} — ${formatRupee(p.price)}`);
+        const text = [`My wishlist at ${window.siteConfig.storeName}:`, ...lines, '', window.wishlist.shareUrl()].join('\n');
+        window.open(`https://wa.me/?text=${encodeURIComponent(text)}`, '_blank');
+    },
+
+    closeDrawer: function() {
+        if (this.dialog) this.dialog.close();
+    }
+};
+
+// Keep hearts, badge and drawer in step with the stored wishlist
+window.wishlist.subscribe((event) => {
+    window.wishlistUI.updateBadge();
+    window.wishlistUI.updateHearts();
+
+    if (event.type === 'add') {
+        window.cartUI.showToast('Saved to wishlist');
+    }
+
+    if (window.wishlistUI.isOpen()) {
+        window.wishlistUI.renderDrawer();
+    }
+});
+
+// Heart toggles (delegated, so cards rendered later work too)
+document.addEventListener('click', (e) => {
+    const heart = e.target.closest('.wishlist-heart');
+    if (!heart) return;
+    e.preventDefault();
+    e.stopPropagation();
+    window.wishlist.toggle(heart.dataset.wishlistId);
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.wishlistUI.ensureButton();
+    window.wishlistUI.updateBadge();
+
+    window.catalogRendered.then(() => {
+        window.wishlistUI.decorate();
+
+        // Opened from a shared wishlist link
+        window.wishlistUI.sharedIds = window.wishlist.sharedIds().filter(id => window.catalog.get(id));
+        if (window.wishlistUI.sharedIds.length) {
+            window.wishlistUI.openDrawer();
+        }
+    });
+});
+
+console.log('✅ Wishlist UI loaded');
+
+// ===== MY ORDERS PAGE =====
+// Lists the order history (orders.js) on orders.html with one-click reorder,
+// the payment state of each order, "Pay now" for unpaid UPI orders and the
+// invoice of each order (invoice.js).
+
+window.ordersPage = {
+    orders: [],
+    statusLabels: {
+        new: 'Not sent yet',
+        sent: 'Sent on WhatsApp',
+        confirmed: 'Confirmed',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled'
+    },
+
+    render: function(list) {
+        return window.orderHistory.all()
+            .then(orders => {
+                this.orders = orders;
+                if (!orders.length) {
+                    list.innerHTML = '<p class="orders-empty">You have not placed any orders yet. <a href="index.html#products">Start shopping</a></p>';
+                    return;
+                }
+                list.innerHTML = orders.map(order => this.renderOrder(order)).join('');
+            })
+            .catch(error => {
+                console.error('❌ Could not load order history:', error);
+                list.innerHTML = '<p class="orders-empty">Your order history could not be loaded in this browser.</p>';
+            });
+    },
+
+    renderOrder: function(order) {
+        const date = new Date(order.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+        const items = order.items.map(item => `
+            <li>
+                <span>${escapeHtml(item.name)} × ${item.qty}</span>
+                <span>${formatRupee(item.price * item.qty)}</span>
+            </li>
+        `).join('');
+        const discounts = (order.discounts || []).map(discount => `
+            <li class="order-discount">
+                <span>${escapeHtml(discount.label)}</span>
+                <span>−${formatRupee(discount.amount)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <article class="order-card" data-order-id="${order.id}">
+                <header class="order-header">
+                    <div>
+                        <h3>Order #${order.id}</h3>
+                        <time datetime="${order.date}">${date}</time>
+                    </div>
+                    <span class="order-status order-status-${order.status}">${this.statusLabels[order.status] || order.status}</span>
+                </header>
+                ${this.renderPayment(order)}
+                <ul class="order-items">
+                    ${items}
+                    ${discounts}
+                    ${order.shipping !== undefined ? `<li><span>Delivery</span><span>${order.shipping ? formatRupee(order.shipping) : 'FREE'}</span></li>` : ''}
+                </ul>
+                <footer class="order-footer">
+                    <strong>Total: ${formatRupee(order.total)}</strong>
+                    <div class="order-actions">
+                        <a class="btn btn-secondary" href="${window.checkout.whatsappUrl(order)}" target="_blank" rel="noopener">Open in WhatsApp</a>
+                        ${this.awaitingPayment(order) ? `<button class="btn btn-primary" data-order-action="pay" data-id="${order.id}">Pay now</button>` : ''}
+                        <button class="btn btn-secondary" data-order-action="invoice-print" data-id="${order.id}">Print invoice</button>
+                        <button class="btn btn-secondary" data-order-action="invoice-pdf" data-id="${order.id}">Invoice PDF</button>
+                        <button class="btn btn-primary" data-order-action="reorder" data-id="${order.id}">Reorder</button>
+                    </div>
+                </footer>
+            </article>
+        `;
+    },
+
+    awaitingPayment: function(order) {
+        return Boolean(order.payment && order.payment.method === 'upi' && order.payment.state === 'pending' &&
+            order.status !== 'cancelled' && window.upi.enabled());
+    },
+
+    // Orders from before UPI payments have no payment details
+    renderPayment: function(order) {
+        const payment = order.payment;
+        if (!payment) return '';
+        if (payment.method !== 'upi') {
+            return `
+                <p class="order-payment">
+                    Payment: arranged on WhatsApp
+                    ${payment.state === 'verified' ? `<span class="payment-state payment-state-verified">${window.upi.stateLabels.verified}</span>` : ''}
+                </p>
+            `;
+        }
+        return `
+            <p class="order-payment">
+                Payment: UPI
+                <span class="payment-state payment-state-${payment.state}">${window.upi.stateLabels[payment.state] || payment.state}</span>
+                ${payment.reference ? `<span class="payment-reference">UTR ${escapeHtml(payment.reference)}</span>` : ''}
+            </p>
+        `;
+    },
+
+    pay: function(id) {
+        return window.orderHistory.get(id)
+            .then(order => {
+                if (order) window.cartUI.showPayment(order);
+            })
+            .catch(error => console.error('❌ Could not open the payment:', error));
+    },
+
+    reorder: function(id) {
+        return window.orderHistory.reorder(id)
+            .then(changes => {
+                window.stockUI.reportChanges(changes, true);
+                window.cartUI.openModal();
+            })
+            .catch(error => {
+                console.error('❌ Reorder failed:', error);
+                window.cartUI.showToast('Could not reorder. Please try again.');
+            });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const list = document.getElementById('orders-list');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-order-action]');
+        if (!btn) return;
+        // Invoices come from the listed orders so printing and downloading
+        // stay part of the click
+        const order = window.ordersPage.orders.find(o => o.id === btn.dataset.id);
+        if (btn.dataset.orderAction === 'pay') {
+            window.ordersPage.pay(btn.dataset.id);
+        } else if (btn.dataset.orderAction === 'invoice-print') {
+            if (order) window.invoice.print(order);
+        } else if (btn.dataset.orderAction === 'invoice-pdf') {
+            if (order) window.invoice.download(order);
+        } else {
+            window.ordersPage.reorder(btn.dataset.id);
+        }
+    });
+
+    window.catalog.ready.then(() => {
+        window.ordersPage.render(list);
+        // Payments and owner updates (upi.setState) show up straight away
+        window.orderHistory.subscribe(() => window.ordersPage.render(list));
+    });
+});
+
+console.log('✅ My Orders page loaded');
+
+// ===== NEWSLETTER FORM =====
+// Submits #newsletter-form through window.newsletter (newsletter.js) and
+// handles the ?newsletter-confirm=<token> link from the confirmation email.
+
+window.newsletterForm = {
+    messages: {
+        'pending': 'Almost there! Check your inbox and tap the link to confirm your subscription.',
+        'queued': 'Thanks! We have saved your email address and will be in touch to confirm your subscription.',
+        'failed': 'We could not complete your sign-up just now. Please try again in a few minutes.',
+        'already-pending': 'You have already signed up. Please confirm from the email we sent you.',
+        'already-subscribed': 'You are already subscribed. Thank you!'
+    },
+
+    init: function(form) {
+        const input = form.querySelector('#newsletter-email');
+        const status = form.parentNode.querySelector('.newsletter-status');
+        const button = form.querySelector('button[type="submit"]');
+
+        if (form.dataset.endpoint) {
+            window.newsletter.endpoint = form.dataset.endpoint;
+        }
+
+        const show = (message, isError) => {
+            if (!status) return;
+            status.textContent = message;
+            status.classList.toggle('error', Boolean(isError));
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const error = window.newsletter.validateEmail(input.value);
+            if (error) {
+                show(error, true);
+                input.setAttribute('aria-invalid', 'true');
+                input.focus();
+                return;
+            }
+            input.removeAttribute('aria-invalid');
+
+            button.disabled = true;
+            window.newsletter.subscribe(input.value)
+                .then(result => {
+                    // Keep the address in the field so a failed sign-up can be retried
+                    show(this.messages[result.status], result.status === 'failed');
+                    if (result.status !== 'failed') form.reset();
+                })
+                .catch(err => show(err.message, true))
+                .then(() => {
+                    button.disabled = false;
+                });
+        });
+    },
+
+    // Opened from the confirmation email
+    handleConfirmLink: function() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('newsletter-confirm');
+        if (!token) return;
+
+        params.delete('newsletter-confirm');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`);
+
+        window.newsletter.confirm(token)
+            .then(subscriber => {
+                window.cartUI.showToast(subscriber
+                    ? 'Your newsletter subscription is confirmed!'
+                    : 'This confirmation link is no longer valid');
+            })
+            .catch(error => console.error('❌ Newsletter confirmation failed:', error));
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('newsletter-form');
+    if (form) window.newsletterForm.init(form);
+    window.newsletterForm.handleConfirmLink();
+});
+
+console.log('✅ Newsletter form loaded');
+
+// ===== CONTACT FORM =====
+// Validates #contact-form field by field and sends it through
+// window.contact (contact.js). The form's data-transport picks the delivery
+// ("mailto", "whatsapp" or "post") and data-endpoint the POST url.
+
+window.contactForm = {
+    fields: ['name', 'email', 'subject', 'message'],
+
+    messages: {
+        'sent': 'Thank you! Your message is on its way.',
+        'queued': 'We could not send your message right now. It is saved and will be sent automatically once you are back online.',
+        'ignored': 'Thank you! Your message is on its way.'
+    },
+
+    init: function(form) {
+        const status = form.querySelector('.contact-status');
+        const button = form.querySelector('button[type="submit"]');
+        let startedAt = Date.now();
+
+        if (form.dataset.transport) {
+            window.contact.transport = form.dataset.transport;
+        }
+        if (form.dataset.endpoint) {
+            window.contact.endpoint = form.dataset.endpoint;
+        }
+
+        const show = (message, isError) => {
+            if (!status) return;
+            status.textContent = message;
+            status.classList.toggle('error', Boolean(isError));
+        };
+
+        const values = () => {
+            const data = {};
+            this.fields.forEach(field => {
+                data[field] = form.elements[field].value;
+            });
+            return data;
+        };
+
+        // Re-check a field once the visitor leaves it or fixes it
+        form.addEventListener('focusout', (e) => {
+            const field = e.target.name;
+            if (!this.fields.includes(field)) return;
+            this.showErrors(form, window.contact.validate(values()), [field]);
+        });
+        form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') !== 'true') return;
+            this.showErrors(form, window.contact.validate(values()), [e.target.name]);
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const errors = window.contact.validate(values());
+            this.showErrors(form, errors, this.fields);
+            const firstInvalid = this.fields.find(field => errors[field]);
+            if (firstInvalid) {
+                show('');
+                form.elements[firstInvalid].focus();
+                return;
+            }
+
+            button.disabled = true;
+            window.contact.send(values(), {
+                honeypot: form.elements.website ? form.elements.website.value : '',
+                startedAt
+            })
+                .then(result => {
+                    show(this.messages[result.status]);
+                    form.reset();
+                    startedAt = Date.now();
+                })
+                .catch(err => {
+                    if (err.errors) this.showErrors(form, err.errors, this.fields);
+                    show(err.message, true);
+                })
+                .then(() => {
+                    button.disabled = false;
+                });
+        });
+    },
+
+    showErrors: function(form, errors, fields) {
+        fields.forEach(field => {
+            const input = form.elements[field];
+            const slot = form.querySelector(`[data-error-for="${field}"]`);
+            if (errors[field]) {
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+            if (slot) slot.textContent = errors[field] || '';
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('contact-form');
+    if (form) window.contactForm.init(form);
+    window.contact.flushOutbox();
+});
+
+console.log('✅ Contact form loaded');
+
+// ===== PRODUCT PAGES =====
+// Pages generated by build/build.js (product-<id>.html): thumbnails swap
+// the main image, like the product detail modal
+document.addEventListener('DOMContentLoaded', () => {
+    const page = document.querySelector('.product-page');
+    if (!page) return;
+
+    const mainImg = page.querySelector('#product-main-image');
+    page.querySelectorAll('.product-thumb').forEach(thumb => {
+        thumb.addEventListener('click', () => {
+            mainImg.src = thumb.dataset.src;
+            page.querySelectorAll('.product-thumb').forEach(t => t.setAttribute('aria-pressed', String(t === thumb)));
+        });
+    });
+});
+
+console.log('✅ Product pages loaded');
+
+// ===== PRODUCT REVIEWS =====
+// Star ratings, reviews and the review form in the product detail view (the
+// modal and the generated product pages), and the index.html testimonials.
+// Everything renders from window.reviews (reviews.js).
+
+window.reviewsUI = {
+    photoSize: 800, // longest side of an attached photo, in pixels
+    maxPhotoBytes: 5 * 1024 * 1024,
+    fields: ['rating', 'name', 'text', 'photos'],
+
+    stars: function(rating, label) {
+        let icons = '';
+        for (let i = 1; i <= 5; i++) {
+            const icon = rating >= i ? 'fas fa-star' : rating >= i - 0.5 ? 'fas fa-star-half-alt' : 'far fa-star';
+            icons += `<i class="${icon}" aria-hidden="true"></i>`;
+        }
+        return `<span class="stars review-stars" role="img" aria-label="${label || `${rating} out of 5 stars`}">${icons}</span>`;
+    },
+
+    formatDate: function(iso) {
+        return new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    },
+
+    render: function(container, product, message) {
+        container.setAttribute('aria-busy', 'true');
+        return window.reviews.forProduct(product.id)
+            .then(list => {
+                container.innerHTML = `
+                    <h3 class="reviews-title">Customer Reviews</h3>
+                    ${this.summaryHtml(window.reviews.summary(list))}
+                    ${this.listHtml(list)}
+                    ${this.formHtml(product)}
+                `;
+                this.bindForm(container, product);
+                if (message) this.showStatus(container, message);
+            })
+            .catch(error => {
+                console.error('Failed to load reviews:', error);
+                container.innerHTML = '<p class="reviews-empty">Reviews could not be loaded right now.</p>';
+            })
+            .then(() => container.removeAttribute('aria-busy'));
+    },
+
+    summaryHtml: function(summary) {
+        if (!summary.count) {
+            return '<p class="reviews-empty">No reviews yet. Be the first to review this product.</p>';
+        }
+
+        const bars = [5, 4, 3, 2, 1].map(star => {
+            const count = summary.distribution[star];
+            const percent = Math.round(count / summary.count * 100);
+            return `
+                <li class="review-bar">
+                    <span class="review-bar-label">${star} <i class="fas fa-star" aria-hidden="true"></i></span>
+                    <span class="review-bar-track" role="img" aria-label="${star} star${star === 1 ? '' : 's'}: ${count} of ${summary.count} reviews">
+                        <span class="review-bar-fill" style="width:${percent}%"></span>
+                    </span>
+                    <span class="review-bar-count">${count}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="reviews-summary">
+                <div class="reviews-average">
+                    <strong>${summary.average.toFixed(1)}</strong>
+                    ${this.stars(summary.average, `Average rating ${summary.average.toFixed(1)} out of 5`)}
+                    <span>${summary.count} review${summary.count === 1 ? '' : 's'}</span>
+                </div>
+                <ul class="reviews-histogram">${bars}</ul>
+            </div>
+        `;
+    },
+
+    listHtml: function(list) {
+        if (!list.length) return '';
+        return `
+            <ul class="reviews-list">
+                ${list.map(review => `
+                    <li class="review-item">
+                        <div class="review-meta">
+                            ${this.stars(review.rating)}
+                            <strong>${escapeHtml(review.name)}</strong>
+                            <time datetime="${escapeHtml(review.createdAt)}">${this.formatDate(review.createdAt)}</time>
+                            ${review.status === 'pending' ? '<span class="review-pending">Awaiting approval</span>' : ''}
+                        </div>
+                        <p>${escapeHtml(review.text)}</p>
+                        ${review.photos && review.photos.length ? `
+                            <div class="review-photos">
+                                ${review.photos.map((photo, i) => `<img src="${escapeHtml(photo)}" alt="Photo ${i + 1} from ${escapeHtml(review.name)}" loading="lazy">`).join('')}
+                            </div>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    },
+
+    formHtml: function(product) {
+        const id = `review-${product.id}`;
+        const stars = [1, 2, 3, 4, 5].map(n => `
+            <input type="radio" class="review-rating-input" name="rating" value="${n}" id="${id}-star-${n}">
+            <label for="${id}-star-${n}" title="${n} star${n === 1 ? '' : 's'}"><i class="fas fa-star" aria-hidden="true"></i><span class="review-rating-text">${n} star${n === 1 ? '' : 's'}</span></label>
+        `).join('');
+
+        return `
+            <form class="review-form" novalidate>
+                <h4>Write a review</h4>
+                <fieldset class="review-rating">
+                    <legend>Your rating</legend>
+                    <div class="review-rating-stars">${stars}</div>
+                    <p class="form-error" data-error-for="rating"></p>
+                </fieldset>
+                <label for="${id}-name">Your name</label>
+                <input type="text" id="${id}-name" name="name" autocomplete="name" maxlength="60">
+                <p class="form-error" data-error-for="name"></p>
+                <label for="${id}-text">Your review</label>
+                <textarea id="${id}-text" name="text" rows="4" maxlength="2000"></textarea>
+                <p class="form-error" data-error-for="text"></p>
+                <label for="${id}-photos">Photos (optional, up to ${window.reviews.maxPhotos})</label>
+                <input type="file" id="${id}-photos" name="photos" accept="image/*" multiple>
+                <p class="form-error" data-error-for="photos"></p>
+                <button type="submit" class="btn btn-primary">Submit Review</button>
+                <p class="review-status" role="status" aria-live="polite"></p>
+            </form>
+        `;
+    },
+
+    bindForm: function(container, product) {
+        const form = container.querySelector('.review-form');
+        const labels = Array.from(form.querySelectorAll('.review-rating-stars label'));
+        const inputs = Array.from(form.querySelectorAll('.review-rating-input'));
+
+        // Fill the stars up to the hovered or chosen rating
+        const paint = (upTo) => labels.forEach((label, i) => label.classList.toggle('filled', i < upTo));
+        const chosen = () => Number((inputs.find(input => input.checked) || {}).value || 0);
+        labels.forEach((label, i) => {
+            label.addEventListener('mouseenter', () => paint(i + 1));
+            label.addEventListener('mouseleave', () => paint(chosen()));
+        });
+        inputs.forEach(input => input.addEventListener('change', () => paint(chosen())));
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
+            this.showStatus(container, '');
+
+            this.readPhotos(form.elements.photos.files)
+                .then(photos => window.reviews.submit(product.id, {
+                    rating: chosen(),
+                    name: form.elements.name.value,
+                    text: form.elements.text.value,
+                    photos
+                }))
+                .then(review => this.render(container, product,
+                    review.status === 'approved'
+                        ? 'Thank you! Your review is live.'
+                        : 'Thank you! Your review will appear once it has been approved.'))
+                .catch(error => {
+                    this.showErrors(form, error.errors || {});
+                    this.showStatus(container, error.message, true);
+                    button.disabled = false;
+                });
+        });
+    },
+
+    showErrors: function(form, errors) {
+        this.fields.forEach(field => {
+            const slot = form.querySelector(`[data-error-for="${field}"]`);
+            const input = field === 'rating' ? form.querySelector('.review-rating') : form.elements[field];
+            if (errors[field]) {
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+            if (slot) slot.textContent = errors[field] || '';
+        });
+    },
+
+    showStatus: function(container, message, isError) {
+        const status = container.querySelector('.review-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', Boolean(isError));
+    },
+
+    /**
+     * Attached photos as JPEG data URLs, scaled down to photoSize
+     */
+    readPhotos: function(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length > window.reviews.maxPhotos) {
+            return Promise.resolve(files); // validate() reports the count
+        }
+
+        const invalid = files.find(file => !/^image\//.test(file.type) || file.size > this.maxPhotoBytes);
+        if (invalid) {
+            const error = new Error('Please correct the highlighted fields');
+            error.errors = { photos: `"${invalid.name}" is not an image under 5 MB` };
+            return Promise.reject(error);
+        }
+
+        return Promise.all(files.map(file => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(this.shrink(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        })));
+    },
+
+    shrink: function(dataUrl) {
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, this.photoSize / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                const ctx = canvas.getContext('2d');
+                if (!ctx) return resolve(dataUrl);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.8));
+            };
+            img.onerror = () => resolve(dataUrl);
+            img.src = dataUrl;
+        });
+    },
+
+    // Replace the sample testimonials with the best recent approved reviews;
+    // the cards in index.html stay when there are none yet
+    renderTestimonials: function() {
+        const grid = document.querySelector('.testimonials-grid');
+        if (!grid) return Promise.resolve();
+
+        return window.reviews.approved({ minRating: 4, limit: 3 }).then(list => {
+            const withText = list.filter(review => review.text);
+            if (!withText.length) return;
+
+            grid.innerHTML = withText.map(review => {
+                const p = window.catalog.get(review.productId);
+                return `
+                    <div class="testimonial-card" data-review-id="${escapeHtml(review.id)}">
+                        <div class="testimonial-content">
+                            <p>"${escapeHtml(review.text)}"</p>
+                            <div class="testimonial-author">
+                                <span class="testimonial-initial" aria-hidden="true">${escapeHtml(review.name.charAt(0).toUpperCase())}</span>
+                                <div>
+                                    <h4>${escapeHtml(review.name)}</h4>
+                                    ${this.stars(review.rating)}
+                                    ${p ? `<a class="testimonial-product" href="${window.siteConfig.productPath(p.id)}">${escapeHtml(p.name)}</a>` : ''}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }).catch(error => console.error('Failed to load testimonials:', error));
+    }
+};
+
+// Testimonials come from approved reviews once the catalog is known; the
+// structured data waits for them
+window.testimonialsRendered = window.catalogRendered.then(() => window.reviewsUI.renderTestimonials());
+
+window.catalogRendered.then(() => {
+    document.querySelectorAll('[data-reviews-for]').forEach(container => {
+        const p = window.catalog.get(container.dataset.reviewsFor);
+        if (p) window.reviewsUI.render(container, p);
+    });
+});
+
+console.log('✅ Product reviews loaded');
+
+// ===== STRUCTURED DATA =====
+// JSON-LD for the shop and every catalog product shown on the page. Pages
+// generated by build/build.js already carry it in the <head>.
+function pageStructuredData() {
+    const data = window.structuredData;
+    const ids = new Set();
+    document.querySelectorAll('[data-product-id], .perfume-add-btn[data-id], [data-catalog-id]').forEach(el => {
+        ids.add(el.dataset.productId || el.dataset.id || el.dataset.catalogId);
+    });
+
+    const products = [...ids].map(id => window.catalog.get(id)).filter(Boolean);
+    return window.reviews.approved().catch(() => []).then(approved => data.graph([
+        data.organization({ reviews: data.testimonials(document) }),
+        ...products.map(p => data.product(p, {
+            reviews: approved
+                .filter(review => review.productId === p.id)
+                .map(review => ({ author: review.name, rating: review.rating, text: review.text, date: review.createdAt.slice(0, 10) }))
+        }))
+    ]));
+}
+
+// Checks the JSON-LD against the required fields; problems show up in the
+// console instead of in search console weeks later
+function verifyStructuredData(json) {
+    const problems = window.structuredData.validate(json);
+    if (problems.length) {
+        console.error(`❌ Structured data has ${problems.length} problem(s):\n  ${problems.join('\n  ')}`);
+    } else {
+        const products = json['@graph'].filter(node => node['@type'] === 'Product').length;
+        console.log(`✅ Structured data valid: Organization and ${products} products`);
+    }
+    return problems;
+}
+
+window.testimonialsRendered.then(() => {
+    const existing = document.getElementById('structured-data');
+    if (existing) {
+        verifyStructuredData(JSON.parse(existing.textContent));
+        return;
+    }
+    return pageStructuredData().then(json => {
+        window.structuredData.inject(json);
+        verifyStructuredData(json);
+    });
+});
+
+console.log('✅ Structured data loaded');
@@ -0,0 +1,158 @@
+/**
+ * ===== PRODUCT SEARCH =====
+ * Ranked, typo-tolerant search over window.catalog.
+ *
+ * Matches names, descriptions, taglines, benefits, bundle contents and the
+ * ingredients field (fragrance notes and skincare ingredient lists). Every
+ * query word has to match somewhere; words of 4+ letters may be misspelt by
+ * one letter, words of 7+ letters by two ("Jordani" finds "Giordani").
+ * Misspelt matches are only offered when nothing matches exactly.
+ *
+ * API (window.productSearch):
+ *   search(query, limit = 8)   [{ product, score }] best match first
+ */
+
+class ProductSearch {
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.entries = [];
+        this.indexedProducts = null;
+
+        // How much a match in each field counts towards the score
+        this.weights = {
+            name: 10,
+            category: 4,
+            ingredients: 3,
+            includes: 3,
+            tagline: 2,
+            benefits: 2,
+            description: 2
+        };
+    }
+
+    /**
+     * Lower-case, strip accents and punctuation
+     */
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    tokenize(text) {
+        const normalized = this.normalize(text);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    /**
+     * (Re)build the word lists when the catalog contents change
+     */
+    buildIndex() {
+        if (this.indexedProducts === this.catalog.products) return;
+
+        this.entries = this.catalog.all()
+            .filter(p => p.listed !== false)
+            .map(p => {
+                const fields = {};
+                Object.keys(this.weights).forEach(field => {
+                    const value = Array.isArray(p[field]) ? p[field].join(' ') : p[field];
+                    fields[field] = this.tokenize(field === 'category' ? String(value || '').replace(/-/g, ' ') : value);
+                });
+                return { product: p, name: this.normalize(p.name), fields };
+            });
+        this.indexedProducts = this.catalog.products;
+    }
+
+    /**
+     * Levenshtein distance, giving up once it exceeds max
+     */
+    distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const curr = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+                rowMin = Math.min(rowMin, curr[j]);
+            }
+            if (rowMin > max) return max + 1;
+            prev = curr;
+        }
+        return prev[b.length];
+    }
+
+    /**
+     * How well one query word matches a list of field words (0 to 1)
+     */
+    matchWord(term, words, allowTypos = true) {
+        const maxTypos = !allowTypos ? 0 : term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+        let best = 0;
+
+        for (const word of words) {
+            if (word === term) return 1;
+
+            if (word.startsWith(term)) {
+                best = Math.max(best, 0.8);
+            } else if (term.length >= 3 && word.includes(term)) {
+                best = Math.max(best, 0.5);
+            } else if (maxTypos) {
+                // Also compare against the word's prefix so "giordan" style
+                // partial input with a typo still matches while typing
+                const candidates = [word, word.slice(0, term.length)];
+                const typos = Math.min(...candidates.map(w => this.distance(term, w, maxTypos)));
+                if (typos <= maxTypos) {
+                    best = Math.max(best, 0.6 - 0.15 * typos);
+                }
+            }
+        }
+
+        return best;
+    }
+
+    search(query, limit = 8) {
+        const terms = this.tokenize(query);
+        if (!terms.length) return [];
+
+        this.buildIndex();
+        const phrase = terms.join(' ');
+
+        const matches = this.entries
+            .map(entry => {
+                let score = 0;
+                let exact = true;
+
+                for (const term of terms) {
+                    let termScore = 0;
+                    Object.keys(this.weights).forEach(field => {
+                        termScore = Math.max(termScore, this.matchWord(term, entry.fields[field]) * this.weights[field]);
+                    });
+                    if (!termScore) return null;
+                    score += termScore;
+
+                    exact = exact && Object.keys(this.weights)
+                        .some(field => this.matchWord(term, entry.fields[field], false) > 0);
+                }
+
+                // Whole query at the start of the name ranks highest
+                if (entry.name.startsWith(phrase)) score += 5;
+
+                return { product: entry.product, score, exact };
+            })
+            .filter(Boolean);
+
+        const hasExact = matches.some(match => match.exact);
+        return matches
+            .filter(match => match.exact || !hasExact)
+            .map(({ product, score }) => ({ product, score }))
+            .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name))
+            .slice(0, limit);
+    }
+}
+
+window.productSearch = new ProductSearch(window.catalog);
@@ -0,0 +1,100 @@
+/**
+ * ===== SHIPPING =====
+ * Delivery charges by PIN code zone and parcel weight, for the cart totals
+ * (promotions.js applies the free delivery threshold on top).
+ *
+ * Zones, from the shop's PIN code (siteConfig.shipping.originPincode):
+ *   local      same sorting district (first 3 digits)
+ *   regional   same postal region (first 2 digits)
+ *   national   the rest of India
+ *   remote     Jammu and Kashmir, Ladakh, the North East and the islands
+ * Without an origin PIN code every order is national (or remote). Until the
+ * customer's PIN code is known the national rate is shown as an estimate.
+ *
+ * The charge covers the first 500 g; every further 500 g (or part of it)
+ * adds the zone's perSlab amount. Products carry "weight" in grams, packed
+ * (catalog.js); coaching programs weigh 0 and are not shipped, so a cart of
+ * programs only has no delivery charge.
+ *
+ * API (window.shipping):
+ *   validatePincode(pincode)   error message, or '' for a valid PIN code
+ *   zoneFor(pincode)           zone name, or null for an unknown PIN code
+ *   weight(items)              parcel weight of cart items in grams
+ *   quote(items, pincode)      { zone, label, weight, charge, estimated }
+ *   formatWeight(grams)        "450 g", "1.2 kg"
+ */
+
+window.shipping = {
+    zones: {
+        local: { label: 'Within the city', base: 49, perSlab: 15 },
+        regional: { label: 'Within the region', base: 69, perSlab: 25 },
+        national: { label: 'Rest of India', base: 99, perSlab: 35 },
+        remote: { label: 'North East, J&K and islands', base: 149, perSlab: 50 }
+    },
+
+    // Grams covered by the base charge and by each further step
+    slab: 500,
+
+    // Weight of products without one in the catalog
+    defaultWeight: 250,
+
+    // Jammu and Kashmir and Ladakh, the North East, Andaman and Nicobar, Lakshadweep
+    remotePrefixes: ['18', '19', '78', '79', '744', '6825'],
+
+    // First two digits no post office uses
+    unusedPrefixes: ['10', '29', '35', '54', '55', '86', '87', '88', '89'],
+
+    normalizePincode: function(pincode) {
+        return String(pincode || '').replace(/\s/g, '');
+    },
+
+    validatePincode: function(pincode) {
+        const pin = this.normalizePincode(pincode);
+        if (!/^[1-9]\d{5}$/.test(pin) || this.unusedPrefixes.includes(pin.slice(0, 2))) {
+            return 'Please enter a valid 6-digit PIN code';
+        }
+        return '';
+    },
+
+    zoneFor: function(pincode) {
+        const pin = this.normalizePincode(pincode);
+        if (this.validatePincode(pin)) return null;
+
+        const origin = this.normalizePincode(window.siteConfig.shipping.originPincode);
+        if (origin && pin.slice(0, 3) === origin.slice(0, 3)) return 'local';
+        if (origin && pin.slice(0, 2) === origin.slice(0, 2)) return 'regional';
+        if (this.remotePrefixes.some(prefix => pin.startsWith(prefix))) return 'remote';
+        return 'national';
+    },
+
+    weight: function(items) {
+        return items.reduce((sum, item) => {
+            const product = window.catalog ? window.catalog.get(item.id) : null;
+            const grams = product && product.weight !== undefined ? Number(product.weight) : this.defaultWeight;
+            return sum + grams * item.qty;
+        }, 0);
+    },
+
+    quote: function(items, pincode) {
+        const weight = this.weight(items);
+        if (!weight) {
+            return { zone: null, label: 'Nothing to ship', weight: 0, charge: 0, estimated: false };
+        }
+
+        const known = this.zoneFor(pincode);
+        const zone = known || 'national';
+        const rate = this.zones[zone];
+        const extraSlabs = Math.ceil(Math.max(0, weight - this.slab) / this.slab);
+        return {
+            zone,
+            label: rate.label,
+            weight,
+            charge: rate.base + extraSlabs * rate.perSlab,
+            estimated: !known
+        };
+    },
+
+    formatWeight: function(grams) {
+        return grams < 1000 ? `${grams} g` : `${Math.round(grams / 100) / 10} kg`;
+    }
+};
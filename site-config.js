@@ -0,0 +1,84 @@
+/**
+ * ===== SITE CONFIG =====
+ * The shop's contact details in one place. Checkout, the contact form and
+ * the offer banner read them from here, so a new number or address only has
+ * to be changed once.
+ *
+ * API (window.siteConfig):
+ *   storeName, phone (as displayed), email, whatsapp (digits for wa.me)
+ *   siteUrl                     public address of the deployed site; the build
+ *                               uses it for canonical links and sitemap.xml
+ *   productPages                true where the build's product-<id>.html pages
+ *                               are deployed (build/build.js turns it on in
+ *                               dist/); product links then point at them
+ *   logo, social                logo image and social profile links
+ *   reviewsEndpoint             review API (see reviews.js); null keeps
+ *                               reviews in this browser
+ *   stockAlertsEndpoint         where "notify me" sign-ups are POSTed (see
+ *                               inventory.js); null keeps them in this browser
+ *   upiId, upiName              UPI ID (VPA) payments go to and the payee
+ *                               name shown in UPI apps (default: storeName);
+ *                               null upiId hides the UPI option at checkout
+ *   gst                         tax settings (see gst.js): pricesIncludeTax,
+ *                               gstin (printed on invoices; makes them "Tax
+ *                               Invoice"), stateCode (two-digit GST code of
+ *                               the shop's state, e.g. '33' for Tamil Nadu;
+ *                               picks CGST + SGST or IGST), defaultRate for
+ *                               products without a gstRate
+ *   shipping                    delivery settings (see shipping.js):
+ *                               originPincode, the PIN code parcels are sent
+ *                               from; null charges every order as national
+ *   productPath(id)             relative link to a product: product-<id>.html,
+ *                               or the index.html#/product/<id> route
+ *   telUrl()                    tel: link for the phone number
+ *   mailtoUrl(subject, body)    mailto: link, subject and body optional
+ *   whatsappUrl(text)           wa.me chat link, text optional
+ */
+
+window.siteConfig = {
+    storeName: 'Shahida Beauty Coach',
+    phone: '+91 8778101432',
+    email: 'sajjuhashim10@gmail.com',
+    whatsapp: '918778101432',
+    siteUrl: null,
+    productPages: false,
+    logo: 'Photos/logo img.jpeg',
+    social: [
+        'https://www.facebook.com/share/1AYCRYr9H7/',
+        'https://www.instagram.com/twilight7862025?igsh=aGlsdDc1ZGoxNnB4'
+    ],
+    reviewsEndpoint: null,
+    stockAlertsEndpoint: null,
+    upiId: null,
+    upiName: null,
+    gst: {
+        pricesIncludeTax: true,
+        gstin: null,
+        stateCode: null,
+        defaultRate: 18
+    },
+    shipping: {
+        originPincode: null
+    },
+
+    productPath: function(id) {
+        return this.productPages
+            ? `product-${encodeURIComponent(id)}.html`
+            : `index.html#/product/${encodeURIComponent(id)}`;
+    },
+
+    telUrl: function() {
+        return `tel:${this.phone.replace(/[^\d+]/g, '')}`;
+    },
+
+    mailtoUrl: function(subject, body) {
+        const params = [];
+        if (subject) params.push(`subject=${encodeURIComponent(subject)}`);
+        if (body) params.push(`body=${encodeURIComponent(body)}`);
+        return `mailto:${this.email}${params.length ? '?' + params.join('&') : ''}`;
+    },
+
+    whatsappUrl: function(text) {
+        return `https://wa.me/${this.whatsapp}${text ? '?text=' + encodeURIComponent(text) : ''}`;
+    }
+};
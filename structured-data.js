@@ -0,0 +1,252 @@
+/**
+ * ===== STRUCTURED DATA =====
+ * schema.org JSON-LD for search engines: the shop as an Organization (with
+ * the index.html testimonials as its reviews and AggregateRating) and every
+ * catalog product on the page as a Product with an Offer.
+ *
+ * Apart from testimonials() and inject() nothing touches the DOM, so
+ * build/build.js uses the same code for the generated pages; script.js
+ * injects the result into every other page and logs any validation problem.
+ *
+ * Products get their approved reviews (reviews.js) as Review entries and an
+ * AggregateRating. Offer availability follows the stock (inventory.js): in
+ * stock, limited when only a few are left, or out of stock.
+ *
+ * API (window.structuredData):
+ *   organization(options)          Organization; options.reviews adds Review
+ *                                  entries and an AggregateRating
+ *   product(p, options)            Product + Offer for a catalog entry;
+ *                                  options.url (default: siteConfig.productPath),
+ *                                  options.reviews
+ *   graph(nodes)                   wrap nodes in one @graph document
+ *   testimonials(root)             reviews read from .testimonial-card blocks
+ *   aggregateRating(reviews)       AggregateRating, or null without reviews
+ *   validate(data)                 list of problems, empty when valid
+ *   serialize(data)                JSON safe to put inside a <script> tag
+ *   inject(data, doc)              write it to <script id="structured-data">
+ *
+ * options.baseUrl is the address relative URLs are resolved against
+ * (default: siteConfig.siteUrl, or the current page).
+ */
+
+window.structuredData = {
+    context: 'https://schema.org',
+    currency: 'INR',
+
+    // Fields every node of a type must have, following the search engines'
+    // product / review snippet requirements
+    required: {
+        Organization: ['name', 'url'],
+        Product: ['name', 'image', 'offers'],
+        Offer: ['price', 'priceCurrency', 'availability', 'url'],
+        AggregateRating: ['ratingValue', 'reviewCount', 'bestRating'],
+        Review: ['author', 'reviewRating'],
+        Rating: ['ratingValue', 'bestRating'],
+        Person: ['name']
+    },
+
+    baseUrl: function(options = {}) {
+        const config = window.siteConfig || {};
+        return options.baseUrl || config.siteUrl || (typeof location !== 'undefined' ? location.href : '');
+    },
+
+    absolute: function(url, options) {
+        return new URL(url, this.baseUrl(options)).href;
+    },
+
+    organizationId: function(options) {
+        return this.absolute('./', options) + '#organization';
+    },
+
+    organization: function(options = {}) {
+        const config = window.siteConfig;
+        const org = {
+            '@type': 'Organization',
+            '@id': this.organizationId(options),
+            name: config.storeName,
+            url: this.absolute('./', options),
+            logo: this.absolute(config.logo, options),
+            telephone: config.phone,
+            email: config.email,
+            sameAs: config.social.slice()
+        };
+
+        if (options.reviews && options.reviews.length) {
+            org.review = options.reviews.map(review => this.review(review));
+            org.aggregateRating = this.aggregateRating(options.reviews);
+        }
+        return org;
+    },
+
+    product: function(p, options = {}) {
+        const url = options.url || this.absolute(window.siteConfig.productPath(p.id), options);
+        const filters = window.productFilters;
+
+        const product = {
+            '@type': 'Product',
+            '@id': url + (url.includes('#') ? '' : '#product'),
+            sku: p.id,
+            name: p.name,
+            image: (p.images || [p.image]).filter(Boolean).map(image => this.absolute(image, options)),
+            description: p.description || p.tagline || '',
+            category: filters ? filters.label(p.category) : p.category,
+            url,
+            offers: {
+                '@type': 'Offer',
+                url,
+                price: Number(p.price).toFixed(2),
+                priceCurrency: this.currency,
+                availability: this.availability(p),
+                itemCondition: 'https://schema.org/NewCondition',
+                seller: { '@id': this.organizationId(options) }
+            }
+        };
+
+        if (options.reviews && options.reviews.length) {
+            product.review = options.reviews.map(review => this.review(review));
+            product.aggregateRating = this.aggregateRating(options.reviews);
+        }
+        return product;
+    },
+
+    availability: function(p) {
+        const status = window.inventory ? window.inventory.status(p.id) : 'in-stock';
+        const types = { 'in-stock': 'InStock', low: 'LimitedAvailability', out: 'OutOfStock' };
+        return `${this.context}/${types[status]}`;
+    },
+
+    /**
+     * review is { author, rating (1-5), text, date }
+     */
+    review: function(review) {
+        const node = {
+            '@type': 'Review',
+            author: { '@type': 'Person', name: review.author },
+            reviewRating: {
+                '@type': 'Rating',
+                ratingValue: review.rating,
+                bestRating: 5,
+                worstRating: 1
+            },
+            reviewBody: review.text
+        };
+        if (review.date) node.datePublished = review.date;
+        return node;
+    },
+
+    aggregateRating: function(reviews) {
+        if (!reviews || !reviews.length) return null;
+        const total = reviews.reduce((sum, review) => sum + Number(review.rating), 0);
+        return {
+            '@type': 'AggregateRating',
+            ratingValue: Math.round(total / reviews.length * 10) / 10,
+            reviewCount: reviews.length,
+            bestRating: 5,
+            worstRating: 1
+        };
+    },
+
+    /**
+     * The testimonial cards on index.html: quote, author name and the number
+     * of filled stars
+     */
+    testimonials: function(root) {
+        return Array.from(root.querySelectorAll('.testimonial-card')).map(card => {
+            const quote = card.querySelector('.testimonial-content p');
+            const author = card.querySelector('.testimonial-author h4');
+            const stars = card.querySelectorAll('.stars .fas.fa-star').length +
+                card.querySelectorAll('.stars .fa-star-half-alt').length / 2;
+            return {
+                author: author ? author.textContent.trim() : '',
+                rating: stars,
+                text: quote ? quote.textContent.trim().replace(/^["“]|["”]$/g, '') : ''
+            };
+        }).filter(review => review.author && review.rating);
+    },
+
+    graph: function(nodes) {
+        return { '@context': this.context, '@graph': nodes.filter(Boolean) };
+    },
+
+    /**
+     * Check every typed node against the required fields and the value
+     * formats search engines reject. Returns messages like
+     * "Product(amplifier).offers.price: missing".
+     */
+    validate: function(data) {
+        const problems = [];
+
+        const check = (node, where) => {
+            if (Array.isArray(node)) {
+                node.forEach((item, i) => check(item, where && `${where}[${i}]`));
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            const type = node['@type'];
+            const at = where || `${type}${node.sku ? `(${node.sku})` : ''}`;
+
+            (this.required[type] || []).forEach(field => {
+                const value = node[field];
+                if (value === undefined || value === null || value === '' ||
+                    (Array.isArray(value) && !value.length)) {
+                    problems.push(`${at}.${field}: missing`);
+                }
+            });
+
+            if (type === 'Offer') {
+                if (node.price !== undefined && !/^\d+(\.\d+)?$/.test(String(node.price))) {
+                    problems.push(`${at}.price: "${node.price}" is not a plain number`);
+                }
+                if (node.priceCurrency && !/^[A-Z]{3}$/.test(node.priceCurrency)) {
+                    problems.push(`${at}.priceCurrency: "${node.priceCurrency}" is not an ISO 4217 code`);
+                }
+            }
+            if (type === 'Rating' || type === 'AggregateRating') {
+                const value = Number(node.ratingValue);
+                const best = Number(node.bestRating || 5);
+                const worst = Number(node.worstRating || 1);
+                if (!(value >= worst && value <= best)) {
+                    problems.push(`${at}.ratingValue: ${node.ratingValue} is outside ${worst}-${best}`);
+                }
+            }
+            if (type === 'AggregateRating' && !(Number(node.reviewCount) > 0)) {
+                problems.push(`${at}.reviewCount: must be at least 1`);
+            }
+            if (type === 'Product') {
+                [].concat(node.image || []).forEach(image => {
+                    if (!/^https?:\/\//.test(image)) problems.push(`${at}.image: "${image}" is not an absolute URL`);
+                });
+            }
+
+            Object.keys(node).forEach(key => {
+                if (key !== '@type' && node[key] && typeof node[key] === 'object') {
+                    check(node[key], `${at}.${key}`);
+                }
+            });
+        };
+
+        if (!data || data['@context'] !== this.context) {
+            problems.push(`@context: must be ${this.context}`);
+        }
+        check(data && data['@graph'] ? data['@graph'] : data, '');
+        return problems;
+    },
+
+    serialize: function(data) {
+        // "</script>" in a product text must not end the tag early
+        return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    },
+
+    inject: function(data, doc = document) {
+        let script = doc.getElementById('structured-data');
+        if (!script) {
+            script = doc.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'structured-data';
+            doc.head.appendChild(script);
+        }
+        script.textContent = this.serialize(data);
+        return script;
+    }
+};
@@ -0,0 +1,102 @@
+/**
+ * ===== STRUCTURED DATA TEST =====
+ * Checks the JSON-LD the site and the build generate against the required
+ * fields (structured-data.js validate). No dependencies:
+ *
+ *   node --test test/
+ *
+ * The browser scripts run in a vm context with catalog.json served from
+ * disk, the same way build/build.js loads them. The Organization's reviews
+ * come from the testimonial cards in index.html.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.resolve(__dirname, '..');
+const baseUrl = 'https://example.com/';
+
+async function loadSite() {
+    const window = {};
+    const sandbox = {
+        window,
+        console,
+        URL,
+        fetch: (url) => Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve(JSON.parse(fs.readFileSync(path.join(root, url), 'utf8')))
+        })
+    };
+    vm.createContext(sandbox);
+    ['site-config.js', 'catalog.js', 'inventory.js', 'structured-data.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), sandbox, { filename: file });
+    });
+    await window.catalog.ready;
+    return window;
+}
+
+// Just enough of the DOM for structuredData.testimonials(): the cards of the
+// index.html testimonials section with their quote, author and stars
+function testimonialsRoot() {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const cards = html.split('class="testimonial-card"').slice(1).map(chunk => {
+        const card = chunk.split('</section>')[0];
+        const element = (pattern) => {
+            const match = card.match(pattern);
+            return match ? { textContent: match[1] } : null;
+        };
+        return {
+            querySelector: (selector) => ({
+                '.testimonial-content p': element(/<p>([\s\S]*?)<\/p>/),
+                '.testimonial-author h4': element(/<h4>([\s\S]*?)<\/h4>/)
+            })[selector] || null,
+            querySelectorAll: (selector) => card.match(selector === '.stars .fa-star-half-alt'
+                ? /class="fas fa-star-half-alt"/g
+                : /class="fas fa-star"/g) || []
+        };
+    });
+    return { querySelectorAll: () => cards };
+}
+
+// Arrays made in the vm context fail deepStrictEqual against ones made here
+function problems(window, graph) {
+    return Array.from(window.structuredData.validate(graph));
+}
+
+function siteGraph(window) {
+    const data = window.structuredData;
+    const options = { baseUrl };
+    return data.graph([
+        data.organization({ ...options, reviews: data.testimonials(testimonialsRoot()) }),
+        ...window.catalog.all().map(p => data.product(p, options))
+    ]);
+}
+
+test('the organization and every catalog product pass validation', async () => {
+    const window = await loadSite();
+    const graph = siteGraph(window);
+
+    const products = graph['@graph'].filter(node => node['@type'] === 'Product');
+    assert.strictEqual(products.length, window.catalog.all().length);
+    assert.ok(graph['@graph'][0].aggregateRating, 'testimonials give the organization a rating');
+    assert.deepStrictEqual(problems(window, graph), []);
+});
+
+test('missing required product fields are reported', async () => {
+    const window = await loadSite();
+    const cases = [
+        ['offers.price', (product) => delete product.offers.price],
+        ['name', (product) => delete product.name],
+        ['image', (product) => delete product.image]
+    ];
+
+    cases.forEach(([field, remove]) => {
+        const graph = siteGraph(window);
+        const product = graph['@graph'].find(node => node['@type'] === 'Product');
+        remove(product);
+        assert.deepStrictEqual(problems(window, graph), [`Product(${product.sku}).${field}: missing`]);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * ===== WISHLIST =====
+ * Products saved for later, kept in localStorage under "wishlist" as a list
+ * of catalog ids (the same ids used by data-id / data-product-id).
+ *
+ * API (window.wishlist):
+ *   has(id) / toggle(id) / add(id) / remove(id) / clear()
+ *   ids()                 saved ids, most recent first
+ *   items()               catalog entries for the saved ids
+ *   moveToCart(id)        add to window.cart and drop from the wishlist
+ *   shareUrl(ids)         link that opens a shared wishlist (?wishlist=a,b)
+ *   sharedIds()           ids from a ?wishlist= link on the current page
+ *   subscribe(listener)   listener({ type, id }) after each change; returns
+ *                         an unsubscribe function
+ */
+
+class WishlistStore {
+    constructor(storageKey = 'wishlist') {
+        this.storageKey = storageKey;
+        this.listeners = new Set();
+
+        // Pick up changes made in other tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.emit({ type: 'sync', id: null });
+            }
+        });
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    write(ids, event) {
+        localStorage.setItem(this.storageKey, JSON.stringify(ids));
+        this.emit(event);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Wishlist listener failed:', error);
+            }
+        });
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    ids() {
+        return this.read();
+    }
+
+    has(id) {
+        return this.read().includes(id);
+    }
+
+    add(id) {
+        if (!id || this.has(id)) return;
+        this.write([id, ...this.read()], { type: 'add', id });
+    }
+
+    remove(id) {
+        if (!this.has(id)) return;
+        this.write(this.read().filter(saved => saved !== id), { type: 'remove', id });
+    }
+
+    toggle(id) {
+        if (this.has(id)) {
+            this.remove(id);
+            return false;
+        }
+        this.add(id);
+        return true;
+    }
+
+    clear() {
+        this.write([], { type: 'clear', id: null });
+    }
+
+    items() {
+        return this.read()
+            .map(id => window.catalog.get(id))
+            .filter(Boolean);
+    }
+
+    moveToCart(id) {
+        window.cart.add(id, 1);
+        this.remove(id);
+    }
+
+    shareUrl(ids = this.ids()) {
+        const url = new URL('index.html', window.location.href);
+        url.search = `wishlist=${ids.map(encodeURIComponent).join(',')}`;
+        return url.href;
+    }
+
+    sharedIds() {
+        const param = new URLSearchParams(window.location.search).get('wishlist');
+        return param ? param.split(',').filter(Boolean) : [];
+    }
+}
+
+window.wishlist = new WishlistStore();